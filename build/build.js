@@ -11,6 +11,7 @@ var files = [
   'io.js',
   'camera.js',
   'o3d.js',
+  'scenegraph.js',
   'shaders.js',
   'scene.js',
   'workers.js',
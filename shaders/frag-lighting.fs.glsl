@@ -22,9 +22,20 @@ uniform vec3 lightingDirection;
 uniform vec3 pointLocation[LIGHT_MAX];
 uniform vec3 pointColor[LIGHT_MAX];
 uniform vec3 pointSpecularColor[LIGHT_MAX];
+uniform vec3 pointAttenuation[LIGHT_MAX];
 uniform float enableSpecular[LIGHT_MAX];
 uniform int numberPoints;
 
+uniform vec3 spotLocation[LIGHT_MAX];
+uniform vec3 spotDirection[LIGHT_MAX];
+uniform vec3 spotColor[LIGHT_MAX];
+uniform vec3 spotSpecularColor[LIGHT_MAX];
+uniform vec3 spotAttenuation[LIGHT_MAX];
+uniform float spotCutoff[LIGHT_MAX];
+uniform float spotExponent[LIGHT_MAX];
+uniform float spotEnableSpecular[LIGHT_MAX];
+uniform int numberSpots;
+
 uniform bool hasTexture1;
 uniform sampler2D sampler1;
 
@@ -36,6 +47,10 @@ uniform sampler2D sampler3;
 
 uniform mat4 viewMatrix;
 
+float attenuate(vec3 factors, float distance) {
+  return 1.0 / (factors.x + factors.y * distance + factors.z * distance * distance);
+}
+
 void main(void) {
   vec3 lightWeighting;
   if (!enableLights) {
@@ -54,20 +69,48 @@ void main(void) {
     vec3 reflectionDirection;
 
     vec3 pointWeight = vec3(0.0, 0.0, 0.0);
+    float attenuation;
+    float spotEffect;
 
     for (int i = 0; i < LIGHT_MAX; i++) {
       if (i < numberPoints) {
         transformedPointLocation = (viewMatrix * vec4(pointLocation[i], 1.0)).xyz;
         lightDirection = normalize(transformedPointLocation - vPosition.xyz);
+        attenuation = attenuate(pointAttenuation[i], length(transformedPointLocation - vPosition.xyz));
 
         if (enableSpecular[i] > 0.0) {
           reflectionDirection = reflect(-lightDirection, normal);
           specularLightWeighting = pow(max(dot(reflectionDirection, eyeDirection), 0.0), shininess);
-          specularLight += specularLightWeighting * pointSpecularColor[i];
+          specularLight += specularLightWeighting * pointSpecularColor[i] * attenuation;
         }
 
         diffuseLightWeighting = max(dot(normal, lightDirection), 0.0);
-        diffuseLight += diffuseLightWeighting * pointColor[i];
+        diffuseLight += diffuseLightWeighting * pointColor[i] * attenuation;
+      } else {
+        break;
+      }
+    }
+
+    for (int i = 0; i < LIGHT_MAX; i++) {
+      if (i < numberSpots) {
+        transformedPointLocation = (viewMatrix * vec4(spotLocation[i], 1.0)).xyz;
+        lightDirection = normalize(transformedPointLocation - vPosition.xyz);
+        //cosine of the angle between the spot direction and the fragment
+        spotEffect = dot(normalize((viewMatrix * vec4(spotDirection[i], 0.0)).xyz), -lightDirection);
+
+        if (spotEffect > spotCutoff[i]) {
+          attenuation = pow(spotEffect, spotExponent[i]) *
+            attenuate(spotAttenuation[i], length(transformedPointLocation - vPosition.xyz));
+
+          if (spotEnableSpecular[i] > 0.0) {
+            reflectionDirection = reflect(-lightDirection, normal);
+            specularLightWeighting = pow(max(dot(reflectionDirection, eyeDirection), 0.0), shininess);
+            specularLight += specularLightWeighting * spotSpecularColor[i] * attenuation;
+          }
+
+          diffuseLightWeighting = max(dot(normal, lightDirection), 0.0);
+          diffuseLight += diffuseLightWeighting * spotColor[i] * attenuation;
+        }
       } else {
         break;
       }
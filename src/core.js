@@ -6,6 +6,7 @@ PhiloGL = null;
 
 //Creates a single application object asynchronously
 //with a gl context, a camera, a program, a scene, and an event system.
+//Returns a Promise resolved with the application (when Promises are supported).
 (function () {
   PhiloGL = function(canvasId, opt) {
     opt = $.merge({
@@ -41,7 +42,13 @@ PhiloGL = null;
         */
       },
       onLoad: $.empty,
-      onError: $.empty
+      onError: $.empty,
+      onContextLost: $.empty,
+      onContextRestored: $.empty,
+      onResize: $.empty,
+      //resize the canvas with its CSS size and devicePixelRatio.
+      //Can also be an object like { pixelRatio: 1 }
+      autoResize: false
 
     }, opt || {});
 
@@ -50,16 +57,33 @@ PhiloGL = null;
         optEvents = opt.events,
         optTextures = opt.textures,
         optProgram = $.splat(opt.program),
-        optScene = opt.scene;
+        optScene = opt.scene,
+        deferred = $.defer();
 
-    //get Context global to all framework
-    gl = PhiloGL.WebGL.getContext(canvasId, optContext);
+    //get Context
+    var ctx = PhiloGL.WebGL.getContext(canvasId, optContext);
 
-    if (!gl) {
+    if (!ctx) {
         opt.onError("The WebGL context couldn't been initialized");
-        return null;
+        deferred.reject(new PhiloGL.Error('context', "The WebGL context couldn't been initialized"));
+        return deferred.promise;
     }
 
+    //each application carries its own context. Program, Scene, Model
+    //and postProcess resolve the context from the app they belong to.
+    var application = new PhiloGL.WebGL.Application({
+      gl: ctx,
+      canvas: ctx.canvas,
+      onContextLost: opt.onContextLost,
+      onContextRestored: opt.onContextRestored,
+      onResize: opt.onResize
+    });
+
+    //the last created context and application are kept as defaults for
+    //code that is not bound to any application.
+    gl = ctx;
+    app = application;
+
     //get Program
     var popt = {
       'defaults': 'fromDefaultShaders',
@@ -78,40 +102,60 @@ PhiloGL = null;
               programs[popt.id || (programLength - count)] = p;
               count--;
               if (count === 0 && !error) {
-                loadProgramDeps(gl, programLength == 1? p : programs, function(app) {
+                loadProgramDeps(application, programLength == 1? p : programs, function(app) {
                   opt.onLoad(app);
+                  deferred.resolve(app);
                 });
               }
             },
             onError: function(p) {
               count--;
               opt.onError(p);
+              deferred.reject(PhiloGL.Error.from('program', p));
               error = true;
             }
           };
         })();
 
+    var lights = optScene.lights;
     optProgram.forEach(function(optProgram, i) {
       var pfrom = optProgram.from, program;
+      optProgram.app = application;
+      //compile the shaders for the number of lights of the scene
+      //and with the shadow code if some light casts shadows
+      if (lights) {
+        var defines = {};
+        if (lights.max) {
+          defines.LIGHT_MAX = lights.max;
+        }
+        if (lights.directional && lights.directional.shadows ||
+            $.splat(lights.points || []).some(function(point) { return point.shadows; })) {
+          defines.SHADOWS = 1;
+        }
+        optProgram.defines = $.extend(defines, optProgram.defines || {});
+      }
       for (var p in popt) {
         if (pfrom == p) {
           try {
-            program = PhiloGL.Program[popt[p]]($.extend(programCallback, optProgram));
+            //copy the callbacks so options don't leak between programs
+            program = PhiloGL.Program[popt[p]]($.extend($.extend({}, programCallback), optProgram));
           } catch(e) {
             programCallback.onError(e);
           }
           break;
         }
       }
-      if (program) {
+      //programs created synchronously are returned directly,
+      //fromShaderURIs returns a Promise instead.
+      if (program && program.$$family == 'program') {
         programCallback.onSuccess(program, optProgram);
       }
     });
 
 
-    function loadProgramDeps(gl, program, callback) {
+    function loadProgramDeps(app, program, callback) {
       //get Camera
-      var canvas = gl.canvas,
+      var canvas = app.canvas,
           camera = new PhiloGL.Camera(optCamera.fov,
                                       optCamera.aspect || (canvas.width / canvas.height),
                                       optCamera.near,
@@ -119,16 +163,14 @@ PhiloGL = null;
       camera.update();
 
       //get Scene
-      var scene = new PhiloGL.Scene(program, camera, optScene);
+      var scene = new PhiloGL.Scene(program, camera, $.extend({
+        app: app
+      }, optScene));
 
-      //make app instance global to all framework
-      app = new PhiloGL.WebGL.Application({
-        gl: gl,
-        canvas: canvas,
-        program: program,
-        scene: scene,
-        camera: camera
-      });
+      //complete the app instance
+      app.program = program;
+      app.scene = scene;
+      app.camera = camera;
 
       //Use program
       if (program.$$family == 'program') {
@@ -142,9 +184,14 @@ PhiloGL = null;
         }));
       }
 
+      if (opt.autoResize) {
+        app.startAutoResize(opt.autoResize);
+      }
+
       //load Textures
       if (optTextures.src.length) {
         new PhiloGL.IO.Textures($.extend(optTextures, {
+          app: app,
           onComplete: function() {
             callback(app);
           }
@@ -153,6 +200,8 @@ PhiloGL = null;
         callback(app);
       }
     }
+
+    return deferred.promise;
   };
 
 })();
@@ -162,7 +211,7 @@ PhiloGL = null;
 PhiloGL.unpack = function(branch) {
   branch = branch || globalContext;
   ['Vec3', 'Mat4', 'Quat', 'Camera', 'Program', 'WebGL', 'O3D',
-   'Scene', 'Shaders', 'IO', 'Events', 'WorkerGroup', 'Fx', 'Media'].forEach(function(module) {
+   'Scene', 'SceneGraph', 'Shaders', 'IO', 'Events', 'WorkerGroup', 'Fx', 'Media'].forEach(function(module) {
       branch[module] = PhiloGL[module];
   });
   branch.gl = gl;
@@ -172,7 +221,36 @@ PhiloGL.unpack = function(branch) {
 //Version
 PhiloGL.version = '1.5.2';
 
-//Holds the 3D context, holds the application
+//Structured error used to reject the Promises returned by the framework.
+//`type` can be `context`, `program`, `network`, `abort`, `image` or `parse`.
+PhiloGL.Error = function(type, message, details) {
+  this.type = type;
+  this.message = message;
+  this.stack = (new Error(message)).stack;
+  $.extend(this, details || {});
+};
+
+PhiloGL.Error.prototype = Object.create(Error.prototype, {
+  constructor: {
+    value: PhiloGL.Error
+  },
+  name: {
+    value: 'PhiloGLError'
+  }
+});
+
+//Wraps a thrown value (generally a string) into a PhiloGL.Error
+PhiloGL.Error.from = function(type, e, details) {
+  if (e instanceof PhiloGL.Error) {
+    return e;
+  }
+  return new PhiloGL.Error(type, e && e.message || String(e), $.extend({
+    cause: e
+  }, details || {}));
+};
+
+//Holds the last created 3D context and application. These are used as defaults
+//by code that is not given an application explicitly.
 var gl, app, globalContext = this;
 
 //Utility functions
@@ -182,6 +260,24 @@ function $(d) {
 
 $.empty = function() {};
 
+//Returns a deferred object with a promise and its resolve/reject functions.
+//The promise is undefined when Promises are not supported.
+$.defer = function() {
+  var deferred = {
+    resolve: $.empty,
+    reject: $.empty
+  };
+  if (typeof Promise != 'undefined') {
+    deferred.promise = new Promise(function(resolve, reject) {
+      deferred.resolve = resolve;
+      deferred.reject = reject;
+    });
+    //callback only users shouldn't get unhandled rejection warnings.
+    deferred.promise['catch']($.empty);
+  }
+  return deferred;
+};
+
 $.time = Date.now;
 
 $.uid = (function() {
@@ -18,6 +18,14 @@
     };
   };
 
+  //Returns a canvas size in CSS pixels
+  var getSize = function(elem, pixelRatio) {
+    return {
+      width: elem.width ? elem.width / pixelRatio : elem.offsetWidth,
+      height: elem.height ? elem.height / pixelRatio : elem.offsetHeight
+    };
+  };
+
   //event object wrapper
   var event = {
     get: function(e, win) {
@@ -81,16 +89,16 @@
 
   var EventsProxy = function(app, opt) {
     var domElem = app.canvas;
+    this.app = app;
     this.scene = app.scene;
     this.domElem = domElem;
     this.pos = getPos(domElem);
     this.opt = this.callbacks = opt;
 
-    this.size = {
-      width: domElem.width || domElem.offsetWidth,
-      height: domElem.height || domElem.offsetHeight
-    };
+    this.size = getSize(domElem, app.pixelRatio || 1);
 
+    //attached [element, type, listener] triples
+    this.listeners = [];
     this.attachEvents();
   };
 
@@ -102,6 +110,11 @@
     touchMoved: false,
     moved: false,
 
+    addListener: function(elem, type, listener) {
+      elem.addEventListener(type, listener, false);
+      this.listeners.push([elem, type, listener]);
+    },
+
     attachEvents: function() {
       var domElem = this.domElem,
           opt = this.opt,
@@ -113,9 +126,9 @@
 
       if (opt.enableMouse) {
     	  ['mouseup', 'mousedown', 'mousemove', 'mouseover', 'mouseout'].forEach(function(action) {
-	        domElem.addEventListener(action, function(e, win) {
+	        that.addListener(domElem, action, function(e, win) {
 	            that[action](that.eventInfo(action, e, win));
-	        }, false);
+	        });
 	      });
 
     	  //"well, this is embarrassing..."
@@ -125,28 +138,41 @@
           } else {
             type = 'DOMMouseScroll';
           }
-          domElem.addEventListener(type, function(e, win) {
+          this.addListener(domElem, type, function(e, win) {
             that['mousewheel'](that.eventInfo('mousewheel', e, win));
-          }, false);
+          });
       }
 
       if (opt.enableTouch) {
           ['touchstart', 'touchmove', 'touchend'].forEach(function(action) {
-            domElem.addEventListener(action, function(e, win) {
+            that.addListener(domElem, action, function(e, win) {
               that[action](that.eventInfo(action, e, win));
-            }, false);
+            });
           });
       }
 
       if (opt.enableKeyboard) {
 	      ['keydown', 'keyup'].forEach(function(action) {
-	        document.addEventListener(action, function(e, win) {
+	        that.addListener(document, action, function(e, win) {
 	          that[action](that.eventInfo(action, e, win));
-	        }, false);
+	        });
 	      });
       }
     },
 
+    //remove all listeners added by attachEvents
+    detachEvents: function() {
+      var listeners = this.listeners;
+      for (var i = 0, l = listeners.length; i < l; ++i) {
+        listeners[i][0].removeEventListener(listeners[i][1], listeners[i][2], false);
+      }
+      this.listeners = [];
+
+      if (this.opt.disableContextMenu) {
+        this.domElem.oncontextmenu = null;
+      }
+    },
+
     eventInfo: function(type, e, win) {
       var domElem = this.domElem,
           scene = this.scene,
@@ -218,11 +244,13 @@
       if (this.cacheSize) {
         return this.size;
       }
-      var domElem = this.domElem;
-      return {
-        width: domElem.width || domElem.offsetWidth,
-        height: domElem.height || domElem.offsetHeight
-      };
+      return getSize(this.domElem, this.app.pixelRatio || 1);
+    },
+
+    //Updates the cached position and size of the canvas
+    invalidate: function() {
+      this.pos = getPos(this.domElem);
+      this.size = getSize(this.domElem, this.app.pixelRatio || 1);
     },
 
     mouseup: function(e) {
@@ -391,8 +419,8 @@
       }
     }
 
-    new EventsProxy(app, opt);
-    //assign event handler to app.
+    //assign event handler and proxy to app.
+    app.eventsProxy = new EventsProxy(app, opt);
     app.events = opt;
   };
 
@@ -166,25 +166,36 @@
       Fx.animationTime = $.time;
     }
     //requestAnimationFrame - function branching
+    //returns an id that can be passed to Fx.cancelAnimationFrame
     found = false;
-    ['webkitRequestAnimationFrame', 'mozRequestAnimationFrame', 'requestAnimationFrame'].forEach(function(impl) {
+    ['webkit', 'moz', ''].forEach(function(prefix) {
+      var impl = prefix ? prefix + 'RequestAnimationFrame' : 'requestAnimationFrame',
+          cancelImpl = prefix ? prefix + 'CancelAnimationFrame' : 'cancelAnimationFrame';
       if (impl in global) {
         Fx.requestAnimationFrame = function(callback) {
-          global[impl](function() {
+          return global[impl](function() {
             checkFxQueue();
             callback();
           });
         };
+        Fx.cancelAnimationFrame = function(id) {
+          if (cancelImpl in global) {
+            global[cancelImpl](id);
+          }
+        };
         found = true;
       }
     });
     if (!found) {
       Fx.requestAnimationFrame = function(callback) {
-        setTimeout(function() {
+        return setTimeout(function() {
           checkFxQueue();
           callback();
         }, 1000 / 60);
       };
+      Fx.cancelAnimationFrame = function(id) {
+        clearTimeout(id);
+      };
     }
   }
   
@@ -1,7 +1,11 @@
 //io.js
-//Provides loading of assets with XHR and JSONP methods.
+//Provides loading of assets with XHR and JSONP methods, and OBJ, glTF, PLY and STL model loaders.
 
 (function () {
+  //Define some locals
+  var Vec3 = PhiloGL.Vec3,
+      Mat4 = PhiloGL.Mat4;
+
   var IO = {};
 
   var XHR = function(opt) {
@@ -47,10 +51,14 @@
       });
     },
     
+    //Returns a Promise resolved with the response (when Promises are supported).
     send: function(body) {
       var req = this.req,
           opt = this.opt,
-          async = opt.async;
+          async = opt.async,
+          that = this;
+
+      this.deferred = $.defer();
       
       if (opt.noCache) {
         opt.url += (opt.url.indexOf('?') >= 0? '&' : '?') + $.uid();
@@ -65,11 +73,7 @@
       if (async) {
         req.onreadystatechange = function(e) {
           if (req.readyState == XHR.State.COMPLETED) {
-            if (req.status == 200) {
-              opt.onSuccess(req.responseType ? req.response : req.responseText);
-            } else {
-              opt.onError(req.status);
-            }
+            that.handleResponse();
           }
         };
       }
@@ -81,12 +85,10 @@
       }
 
       if (!async) {
-        if (req.status == 200) {
-          opt.onSuccess(req.responseType ? req.response : req.responseText);
-        } else {
-          opt.onError(req.status);
-        }
+        this.handleResponse();
       }
+
+      return this.deferred.promise;
     },
 
     setRequestHeader: function(header, value) {
@@ -102,12 +104,45 @@
       }
     },
 
+    handleResponse: function() {
+      var req = this.req,
+          opt = this.opt,
+          response;
+
+      if (req.status == 200) {
+        response = req.responseType ? req.response : req.responseText;
+        //settle the promise even if the callback throws, then rethrow
+        try {
+          opt.onSuccess(response);
+        } catch (e) {
+          this.deferred.reject(PhiloGL.Error.from('parse', e, { url: opt.url }));
+          throw e;
+        }
+        this.deferred.resolve(response);
+      } else {
+        opt.onError(req.status);
+        this.deferred.reject(new PhiloGL.Error('network', 'Request to `' + opt.url + '` failed: Code ' + req.status, {
+          url: opt.url,
+          status: req.status
+        }));
+      }
+    },
+
     handleError: function(e) {
       this.opt.onError(e);
+      this.deferred.reject(new PhiloGL.Error('network', 'Request to `' + this.opt.url + '` failed', {
+        url: this.opt.url,
+        status: this.req.status,
+        event: e
+      }));
     },
 
     handleAbort: function(e) {
       this.opt.onAbort(e);
+      this.deferred.reject(new PhiloGL.Error('abort', 'Request to `' + this.opt.url + '` was aborted', {
+        url: this.opt.url,
+        event: e
+      }));
     },
 
     handleLoad: function(e) {
@@ -171,10 +206,26 @@
   };
 
   XHR.Group.prototype = {
+    //Returns a Promise resolved with the array of responses (when Promises are supported).
     send: function() {
-      for (var i = 0, reqs = this.reqs, l = reqs.length; i < l; ++i) {
-        reqs[i].send();
-      }
+      var deferred = $.defer(),
+          reqs = this.reqs,
+          len = reqs.length,
+          ans = new Array(len);
+
+      reqs.forEach(function(req, i) {
+        var promise = req.send();
+        if (!promise) return;
+        promise.then(function(response) {
+          ans[i] = response;
+          if (!--len) deferred.resolve(ans);
+        }, function(e) {
+          e.index = i;
+          deferred.reject(e);
+        });
+      });
+
+      return deferred.promise;
     }
   };
 
@@ -226,24 +277,36 @@
   JSONP.requests = {};
 
   //Load multiple Image assets async
+  //The returned images array has a `promise` property resolved with
+  //the images (when Promises are supported).
   var Images = function(opt) {
     opt = $.merge({
       src: [],
       noCache: false,
       onProgress: $.empty,
+      onError: $.empty,
       onComplete: $.empty
     }, opt || {});
 
-    var count = 0, l = opt.src.length;
+    var count = 0, l = opt.src.length, failed = false,
+        deferred = $.defer();
     //Image onload handler
     var load = function() {
       opt.onProgress(Math.round(++count / l * 100));
       if (count == l) {
         opt.onComplete(images);
+        if (!failed) deferred.resolve(images);
       }
     };
     //Image error handler
     var error = function() {
+      var imageError = new PhiloGL.Error('image', 'Loading image `' + opt.src[this.index] + '` failed', {
+        src: opt.src[this.index],
+        index: this.index
+      });
+      failed = true;
+      opt.onError(imageError);
+      deferred.reject(imageError);
       if (++count == l) {
         opt.onComplete(images);
       }
@@ -261,22 +324,36 @@
       img.src = src + (noCache? getSuffix(src) : '');
       return img;
     });
+    images.promise = deferred.promise;
     return images;
   };
 
   //Load multiple textures from images
+  //Returns a Promise resolved with an object of texture ids to WebGL textures
+  //(when Promises are supported).
   var Textures = function(opt) {
     opt = $.merge({
       src: [],
       noCache: false,
+      onError: $.empty,
       onComplete: $.empty
     }, opt || {});
 
+    //set the textures to the given application (or the last created one)
+    var application = opt.app || app,
+        deferred = $.defer();
+    delete opt.app;
+
     Images({
       src: opt.src,
       noCache: opt.noCache,
+      onError: function(error) {
+        opt.onError(error);
+        deferred.reject(error);
+      },
       onComplete: function(images) {
-        var textures = {};
+        var textures = {},
+            ans = {};
         images.forEach(function(img, i) {
           textures[opt.id && opt.id[i] || opt.src && opt.src[i]] = $.merge({
             data: {
@@ -284,16 +361,1473 @@
             }
           }, opt);
         });
-        app.setTextures(textures);
+        application.setTextures(textures);
+        for (var name in textures) {
+          ans[name] = application.textures[name];
+        }
         opt.onComplete();
+        deferred.resolve(ans);
       }
     });
+
+    return deferred.promise;
   };
   
+  //Returns the directory of an url, with a trailing slash
+  function getPath(url) {
+    var index = url.lastIndexOf('/');
+    return index > -1? url.slice(0, index + 1) : '';
+  }
+
+  //Resolves a file name found in an asset against a base path
+  function resolveURL(path, file) {
+    file = file.replace(/\\/g, '/');
+    if (/^(\w+:|\/)/.test(file)) {
+      return file;
+    }
+    return path + file;
+  }
+
+  //Requests an url and calls onSuccess with the response, or onError once
+  //with a network or abort PhiloGL.Error (failed requests can fire several
+  //XHR error callbacks). Loaders use callbacks instead of the XHR Promise so
+  //they also work where Promises aren't supported.
+  function request(opt, onSuccess, onError) {
+    var failed = false,
+        fail = function(error) {
+          if (!failed) {
+            failed = true;
+            onError(error);
+          }
+        },
+        xhr = new XHR({
+          url: opt.url,
+          noCache: opt.noCache,
+          responseType: opt.responseType || false,
+          onSuccess: onSuccess,
+          onError: function() {
+            fail(new PhiloGL.Error('network', 'Request to `' + opt.url + '` failed', {
+              url: opt.url,
+              status: xhr.req.status
+            }));
+          },
+          onAbort: function() {
+            fail(new PhiloGL.Error('abort', 'Request to `' + opt.url + '` was aborted', {
+              url: opt.url
+            }));
+          }
+        });
+    xhr.send();
+  }
+
+  //Parses an OBJ file into groups of de-indexed vertices, one
+  //per object/group name and material
+  function parseOBJ(text) {
+    var positions = [],
+        colors = [],
+        normals = [],
+        texCoords = [],
+        groups = [],
+        groupMap = {},
+        name = 'default',
+        material = null,
+        mtllib = null,
+        group = null,
+        hasColors = false,
+        lines = text.split(/\r?\n/);
+
+    function getGroup() {
+      var key = name + '/' + material;
+      if (!groupMap[key]) {
+        groups.push(groupMap[key] = {
+          name: name,
+          material: material,
+          vertices: [],
+          colors: [],
+          normals: [],
+          texCoords: [],
+          indices: [],
+          hasNormals: true,
+          hasTexCoords: true,
+          memo: {}
+        });
+      }
+      return groupMap[key];
+    }
+
+    //OBJ indices start at 1, negative ones are relative to the end
+    function getIndex(value, length) {
+      var index = parseInt(value, 10);
+      return index < 0? length + index : index - 1;
+    }
+
+    //Returns the absolute position index of a `v/vt/vn` face corner
+    function getVertex(corner) {
+      var v = getIndex(corner.split('/')[0], positions.length / 3);
+      if (!(v >= 0 && v * 3 < positions.length)) {
+        throw 'Invalid vertex index in face corner `' + corner + '`';
+      }
+      return v;
+    }
+
+    //Returns the group vertex index of a `v/vt/vn` face corner. Corners are
+    //memoized by their absolute indices since relative ones change meaning.
+    function addCorner(corner) {
+      var refs = corner.split('/'),
+          v = getVertex(corner),
+          vt = refs[1]? getIndex(refs[1], texCoords.length / 2) : -1,
+          vn = refs[2]? getIndex(refs[2], normals.length / 3) : -1,
+          key = v + '/' + vt + '/' + vn,
+          index = group.memo[key];
+
+      if (index !== undefined) {
+        return index;
+      }
+      index = group.memo[key] = group.vertices.length / 3;
+      group.vertices.push(positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]);
+      group.colors.push(colors[v * 3], colors[v * 3 + 1], colors[v * 3 + 2], 1);
+      if (vn > -1) {
+        group.normals.push(normals[vn * 3], normals[vn * 3 + 1], normals[vn * 3 + 2]);
+      } else {
+        group.hasNormals = false;
+      }
+      if (vt > -1) {
+        group.texCoords.push(texCoords[vt * 2], texCoords[vt * 2 + 1]);
+      } else {
+        group.hasTexCoords = false;
+      }
+      return index;
+    }
+
+    for (var i = 0, l = lines.length; i < l; i++) {
+      var line = lines[i].trim();
+      if (!line || line.charAt(0) == '#') {
+        continue;
+      }
+      var parts = line.split(/\s+/),
+          rest = parts.slice(1).join(' ');
+
+      switch (parts[0]) {
+        case 'v':
+          positions.push(+parts[1], +parts[2], +parts[3]);
+          //some exporters append vertex colors, vertices without them are white
+          if (parts.length >= 7) {
+            colors.push(+parts[4], +parts[5], +parts[6]);
+            hasColors = true;
+          } else {
+            colors.push(1, 1, 1);
+          }
+          break;
+        case 'vn':
+          normals.push(+parts[1], +parts[2], +parts[3]);
+          break;
+        case 'vt':
+          texCoords.push(+parts[1], +(parts[2] || 0));
+          break;
+        case 'f':
+          var corners = parts.slice(1),
+              vertices = corners.map(getVertex);
+          //faces that collapse to less than 3 distinct vertices are points or lines
+          if (vertices.filter(function(v, k) { return vertices.indexOf(v) == k; }).length < 3) {
+            break;
+          }
+          group = getGroup();
+          //triangulate polygons as fans, leaving out the triangles with
+          //repeated vertices
+          for (var j = 2, n = corners.length; j < n; j++) {
+            var a = vertices[0], b = vertices[j - 1], c = vertices[j];
+            if (a != b && b != c && a != c) {
+              group.indices.push(addCorner(corners[0]), addCorner(corners[j - 1]), addCorner(corners[j]));
+            }
+          }
+          break;
+        case 'o':
+        case 'g':
+          name = rest || 'default';
+          break;
+        case 'usemtl':
+          material = rest || null;
+          break;
+        case 'mtllib':
+          mtllib = rest;
+          break;
+      }
+    }
+
+    return {
+      mtllib: mtllib,
+      groups: groups.filter(function(group) {
+        //vertex colors are only used if some vertex has them
+        if (!hasColors) {
+          group.colors = [];
+        }
+        return group.indices.length;
+      })
+    };
+  }
+
+  //Parses an MTL file into an object of material names to material
+  //properties. Texture names are resolved against path.
+  function parseMTL(text, path) {
+    var materials = {},
+        material = null,
+        lines = text.split(/\r?\n/);
+
+    path = path || '';
+    for (var i = 0, l = lines.length; i < l; i++) {
+      var line = lines[i].trim();
+      if (!line || line.charAt(0) == '#') {
+        continue;
+      }
+      var parts = line.split(/\s+/),
+          key = parts[0].toLowerCase();
+
+      if (key == 'newmtl') {
+        material = materials[parts.slice(1).join(' ')] = {};
+      } else if (material) {
+        switch (key) {
+          case 'ka':
+          case 'kd':
+          case 'ks':
+          case 'ke':
+            material[key] = [+parts[1], +parts[2], +parts[3]];
+            break;
+          case 'ns':
+          case 'd':
+            material[key] = +parts[1];
+            break;
+          case 'tr':
+            material.d = 1 - parts[1];
+            break;
+          case 'map_kd':
+          case 'map_ks':
+          case 'map_ke':
+          case 'map_bump':
+          case 'bump':
+          case 'norm':
+            //the file name goes after the map options
+            material[key == 'bump' || key == 'norm'? 'map_bump' : key] = resolveURL(path, parts[parts.length - 1]);
+            break;
+        }
+      }
+    }
+
+    return materials;
+  }
+
+  //Returns the options of a model for an MTL material. The diffuse map
+  //is used as the first texture only when useTextures is true.
+  function getMaterialOptions(mtl, useTextures) {
+    var kd = mtl.kd || [1, 1, 1],
+        alpha = 'd' in mtl? mtl.d : 1,
+        ans = {
+          colors: [kd[0], kd[1], kd[2], alpha],
+          maps: {},
+          uniforms: {},
+          transparent: alpha < 1
+        };
+
+    if ('ns' in mtl) {
+      ans.shininess = mtl.ns;
+      ans.uniforms.shininess = mtl.ns;
+    }
+    if (mtl.map_kd) {
+      ans.maps.diffuse = mtl.map_kd;
+      if (useTextures) {
+        ans.textures = [mtl.map_kd];
+      }
+    }
+    if (mtl.map_bump) {
+      ans.maps.normal = mtl.map_bump;
+    }
+    if (mtl.map_ks) {
+      ans.maps.specular = mtl.map_ks;
+    }
+    if (mtl.map_ke) {
+      ans.maps.emissive = mtl.map_ke;
+    }
+    //approximate metallic-roughness properties for the PBR shaders
+    ans.material = {
+      baseColor: [kd[0], kd[1], kd[2], alpha],
+      roughness: 'ns' in mtl? Math.sqrt(2 / (mtl.ns + 2)) : 0.5,
+      emissive: mtl.ke || [0, 0, 0],
+      baseColorMap: mtl.map_kd,
+      normalMap: mtl.map_bump,
+      emissiveMap: mtl.map_ke
+    };
+    return ans;
+  }
+
+  //Creates a model per parsed group. Groups with the same material share
+  //its O3D.Material.
+  function createModels(data, opt) {
+    var materials = opt.materials || {},
+        cache = {};
+
+    return data.groups.map(function(group) {
+      var mtl = group.material && materials[group.material],
+          options = mtl? getMaterialOptions(mtl, opt.textures) : { uniforms: {} },
+          uniforms = $.extend(options.uniforms, opt.model.uniforms),
+          model;
+
+      if (mtl) {
+        options.material = cache[group.material] = cache[group.material] || new PhiloGL.O3D.Material(options.material);
+      }
+      options.vertices = group.vertices;
+      options.indices = group.indices;
+      if (group.colors.length) {
+        options.colors = group.colors;
+      }
+      if (group.hasNormals) {
+        options.normals = group.normals;
+      } else if (opt.computeNormals) {
+        options.computeNormals = opt.computeNormals;
+      }
+      if (group.hasTexCoords) {
+        options.texCoords = group.texCoords;
+        options.computeTangents = !!(options.maps && options.maps.normal);
+      }
+      options = $.extend(options, opt.model);
+      options.uniforms = uniforms;
+
+      model = new PhiloGL.O3D.Model(options);
+      //the object or group name
+      model.name = group.name;
+      return model;
+    });
+  }
+
+  //Load an OBJ file and its MTL materials into models
+  //Returns a Promise resolved with the array of models.
+  var OBJ = function(opt) {
+    opt = $.merge({
+      url: '',
+      //true to use the mtllib of the file, an url or false
+      mtl: true,
+      //base path of the textures, the mtl file path by default
+      path: false,
+      noCache: false,
+      textures: true,
+      textureOptions: {},
+      computeNormals: true,
+      model: {},
+      onSuccess: $.empty,
+      onError: $.empty
+    }, opt || {});
+
+    var deferred = $.defer(),
+        done = false,
+        data;
+
+    //only the first error is reported
+    function fail(e) {
+      if (done) return;
+      done = true;
+      e = PhiloGL.Error.from('parse', e, { url: opt.url });
+      deferred.reject(e);
+      opt.onError(e);
+    }
+
+    function complete() {
+      if (done) return;
+      var models;
+      try {
+        models = createModels(data, opt);
+      } catch (e) {
+        fail(e);
+        return;
+      }
+      done = true;
+      deferred.resolve(models);
+      opt.onSuccess(models);
+    }
+
+    //loads the textures of the materials in use
+    function loadTextures(materials) {
+      var src = [];
+
+      opt.materials = materials;
+      data.groups.forEach(function(group) {
+        var mtl = materials[group.material];
+        if (mtl) {
+          ['map_kd', 'map_bump', 'map_ks', 'map_ke'].forEach(function(key) {
+            if (mtl[key] && src.indexOf(mtl[key]) == -1) {
+              src.push(mtl[key]);
+            }
+          });
+        }
+      });
+
+      if (!opt.textures || !src.length) {
+        complete();
+        return;
+      }
+      Textures($.merge(OBJ.textureOptions, opt.textureOptions, {
+        src: src,
+        app: opt.app,
+        noCache: opt.noCache,
+        onError: fail,
+        onComplete: complete
+      }));
+    }
+
+    request(opt, function(text) {
+      var mtl;
+      try {
+        data = parseOBJ(text);
+      } catch (e) {
+        fail(e);
+        return;
+      }
+      mtl = opt.mtl === true? data.mtllib && resolveURL(getPath(opt.url), data.mtllib) : opt.mtl;
+      if (!mtl) {
+        loadTextures({});
+        return;
+      }
+      request({
+        url: mtl,
+        noCache: opt.noCache
+      }, function(mtlText) {
+        loadTextures(parseMTL(mtlText, opt.path || getPath(mtl)));
+      }, fail);
+    }, fail);
+
+    return deferred.promise;
+  };
+
+  //Default options of the textures of OBJ materials
+  OBJ.textureOptions = {
+    parameters: [{
+      name: 'TEXTURE_MAG_FILTER',
+      value: 'LINEAR'
+    }, {
+      name: 'TEXTURE_MIN_FILTER',
+      value: 'LINEAR_MIPMAP_NEAREST',
+      generateMipmap: true
+    }, {
+      name: 'TEXTURE_WRAP_S',
+      value: 'REPEAT'
+    }, {
+      name: 'TEXTURE_WRAP_T',
+      value: 'REPEAT'
+    }]
+  };
+
+  //Creates models from the contents of an OBJ file. Materials
+  //can be given with the output of OBJ.parseMTL.
+  OBJ.parse = function(text, opt) {
+    opt = $.merge({
+      materials: {},
+      textures: false,
+      computeNormals: true,
+      model: {}
+    }, opt || {});
+    return createModels(parseOBJ(text), opt);
+  };
+
+  OBJ.parseMTL = parseMTL;
+
+  //glTF typed arrays by component type, number of components by
+  //accessor type and draw types by primitive mode
+  var gltfArrays = {
+        5120: Int8Array,
+        5121: Uint8Array,
+        5122: Int16Array,
+        5123: Uint16Array,
+        5125: Uint32Array,
+        5126: Float32Array
+      },
+      gltfSizes = {
+        SCALAR: 1,
+        VEC2: 2,
+        VEC3: 3,
+        VEC4: 4,
+        MAT2: 4,
+        MAT3: 9,
+        MAT4: 16
+      },
+      gltfModes = ['POINTS', 'LINES', 'LINE_LOOP', 'LINE_STRIP', 'TRIANGLES', 'TRIANGLE_STRIP', 'TRIANGLE_FAN'];
+
+  //Decodes a base64 data uri into an ArrayBuffer
+  function decodeDataURI(uri) {
+    var data = atob(uri.slice(uri.indexOf(',') + 1)),
+        ans = new Uint8Array(data.length);
+    for (var i = 0, l = data.length; i < l; i++) {
+      ans[i] = data.charCodeAt(i);
+    }
+    return ans.buffer;
+  }
+
+  //Returns the JSON and the embedded binary buffer of a glTF file given as
+  //an ArrayBuffer (JSON or GLB), a string or the parsed JSON
+  function readGLTFContainer(data) {
+    if (typeof data == 'string') {
+      return { json: JSON.parse(data), buffers: [] };
+    }
+    if (!(data instanceof ArrayBuffer)) {
+      return { json: data, buffers: [] };
+    }
+    var view = new DataView(data),
+        decoder = new TextDecoder(),
+        json = null,
+        bin = null,
+        offset = 12;
+
+    //binary files start with `glTF`
+    if (data.byteLength < 12 || view.getUint32(0, true) != 0x46546C67) {
+      return { json: JSON.parse(decoder.decode(new Uint8Array(data))), buffers: [] };
+    }
+    if (view.getUint32(4, true) != 2) {
+      throw 'Unsupported GLB version ' + view.getUint32(4, true);
+    }
+    while (offset + 8 <= data.byteLength) {
+      var length = view.getUint32(offset, true),
+          type = view.getUint32(offset + 4, true),
+          start = offset + 8;
+
+      //JSON chunk
+      if (type == 0x4E4F534A) {
+        json = JSON.parse(decoder.decode(new Uint8Array(data, start, length)));
+      //BIN chunk, the buffer 0 of the file
+      } else if (type == 0x004E4942) {
+        bin = data.slice(start, start + length);
+      }
+      offset = start + length;
+    }
+    if (!json) {
+      throw 'The GLB file has no JSON chunk';
+    }
+    return { json: json, buffers: bin? [bin] : [] };
+  }
+
+  //Reads count elements of size components from a buffer view
+  function readBufferView(json, buffers, index, byteOffset, ArrayType, count, size) {
+    var view = json.bufferViews[index],
+        buffer = buffers[view.buffer],
+        offset = (view.byteOffset || 0) + (byteOffset || 0),
+        elementSize = size * ArrayType.BYTES_PER_ELEMENT,
+        stride = view.byteStride || elementSize,
+        ans = new ArrayType(count * size);
+
+    if (stride == elementSize) {
+      ans.set(new ArrayType(buffer.slice(offset, offset + count * elementSize)));
+    } else {
+      //interleaved data
+      for (var i = 0; i < count; i++) {
+        ans.set(new ArrayType(buffer.slice(offset + i * stride, offset + i * stride + elementSize)), i * size);
+      }
+    }
+    return ans;
+  }
+
+  //Returns the typed array of an accessor, with its sparse values applied
+  function readAccessor(json, buffers, index) {
+    var accessor = json.accessors[index],
+        ArrayType = gltfArrays[accessor.componentType],
+        size = gltfSizes[accessor.type],
+        sparse = accessor.sparse,
+        ans;
+
+    if (accessor.bufferView !== undefined) {
+      ans = readBufferView(json, buffers, accessor.bufferView, accessor.byteOffset, ArrayType, accessor.count, size);
+    } else {
+      ans = new ArrayType(accessor.count * size);
+    }
+    if (sparse) {
+      var indices = readBufferView(json, buffers, sparse.indices.bufferView, sparse.indices.byteOffset,
+                                   gltfArrays[sparse.indices.componentType], sparse.count, 1),
+          values = readBufferView(json, buffers, sparse.values.bufferView, sparse.values.byteOffset,
+                                  ArrayType, sparse.count, size);
+
+      for (var i = 0; i < sparse.count; i++) {
+        ans.set(values.subarray(i * size, (i + 1) * size), indices[i] * size);
+      }
+    }
+    ans.normalized = !!accessor.normalized;
+    ans.size = size;
+    return ans;
+  }
+
+  //Returns an accessor array as floats, normalized integers are mapped to [0, 1] or [-1, 1]
+  function toFloat32(array) {
+    if (array instanceof Float32Array) {
+      return array;
+    }
+    var ans = new Float32Array(array),
+        bits = array.BYTES_PER_ELEMENT * 8,
+        signed = array instanceof Int8Array || array instanceof Int16Array,
+        scale = 1 / (Math.pow(2, signed? bits - 1 : bits) - 1);
+
+    if (array.normalized) {
+      for (var i = 0, l = ans.length; i < l; i++) {
+        ans[i] = Math.max(ans[i] * scale, -1);
+      }
+    }
+    return ans;
+  }
+
+  //Returns the rotation around the x, y and z axes (as applied by
+  //Mat4.rotateXYZ) of a column-major rotation matrix
+  function getEulerAngles(m) {
+    var sy = -m[2];
+    if (Math.abs(sy) < 0.9999999) {
+      return [Math.atan2(m[6], m[10]), Math.asin(sy), Math.atan2(m[1], m[0])];
+    }
+    return [0, sy > 0? Math.PI / 2 : -Math.PI / 2, Math.atan2(-m[4], m[5])];
+  }
+
+  //Sets the position, rotation and scale of a node from a glTF node matrix
+  //or translation, rotation (quaternion) and scale
+  function setNodeTransform(node, desc) {
+    var t = desc.translation || [0, 0, 0],
+        s = desc.scale || [1, 1, 1],
+        m, q, x, y, z, w;
+
+    if (desc.matrix) {
+      m = desc.matrix;
+      t = [m[12], m[13], m[14]];
+      s = [Math.sqrt(m[0] * m[0] + m[1] * m[1] + m[2] * m[2]),
+           Math.sqrt(m[4] * m[4] + m[5] * m[5] + m[6] * m[6]),
+           Math.sqrt(m[8] * m[8] + m[9] * m[9] + m[10] * m[10])];
+      //mirroring matrices have a negative determinant
+      if (m[0] * (m[5] * m[10] - m[6] * m[9]) - m[4] * (m[1] * m[10] - m[2] * m[9]) + m[8] * (m[1] * m[6] - m[2] * m[5]) < 0) {
+        s[0] = -s[0];
+      }
+      m = [m[0] / s[0], m[1] / s[0], m[2] / s[0], 0,
+           m[4] / s[1], m[5] / s[1], m[6] / s[1], 0,
+           m[8] / s[2], m[9] / s[2], m[10] / s[2]];
+    } else {
+      q = desc.rotation || [0, 0, 0, 1];
+      x = q[0];
+      y = q[1];
+      z = q[2];
+      w = q[3];
+      m = [1 - 2 * (y * y + z * z), 2 * (x * y + z * w), 2 * (x * z - y * w), 0,
+           2 * (x * y - z * w), 1 - 2 * (x * x + z * z), 2 * (y * z + x * w), 0,
+           2 * (x * z + y * w), 2 * (y * z - x * w), 1 - 2 * (x * x + y * y)];
+    }
+    var r = getEulerAngles(m);
+    node.position = new Vec3(t[0], t[1], t[2]);
+    node.rotation = new Vec3(r[0], r[1], r[2]);
+    node.scale = new Vec3(s[0], s[1], s[2]);
+    node.update();
+  }
+
+  //Returns the texture names and options to load for a glTF file
+  function getGLTFTextures(json, buffers, path, prefix) {
+    return (json.textures || []).map(function(texture, i) {
+      var image = json.images[texture.source],
+          sampler = json.samplers && json.samplers[texture.sampler] || {},
+          minFilter = sampler.minFilter || 9987,
+          src;
+
+      if (image.bufferView !== undefined) {
+        var view = json.bufferViews[image.bufferView],
+            offset = view.byteOffset || 0;
+        src = URL.createObjectURL(new Blob([buffers[view.buffer].slice(offset, offset + view.byteLength)], {
+          type: image.mimeType
+        }));
+      } else {
+        src = /^data:/.test(image.uri)? image.uri : resolveURL(path, image.uri);
+      }
+
+      return {
+        id: prefix + '-texture-' + i,
+        src: src,
+        options: {
+          //texture coordinates start at the top left corner
+          pixelStore: [{
+            name: 'UNPACK_FLIP_Y_WEBGL',
+            value: false
+          }, {
+            name: 'UNPACK_ALIGNMENT',
+            value: 1
+          }],
+          parameters: [{
+            name: 'TEXTURE_MAG_FILTER',
+            value: sampler.magFilter || 9729
+          }, {
+            name: 'TEXTURE_MIN_FILTER',
+            value: minFilter,
+            //NEAREST_MIPMAP_NEAREST to LINEAR_MIPMAP_LINEAR
+            generateMipmap: minFilter >= 9984 && minFilter <= 9987
+          }, {
+            name: 'TEXTURE_WRAP_S',
+            value: sampler.wrapS || 10497
+          }, {
+            name: 'TEXTURE_WRAP_T',
+            value: sampler.wrapT || 10497
+          }]
+        }
+      };
+    });
+  }
+
+  //Creates the materials, models, nodes, scenes and cameras of a glTF file
+  function createGLTF(json, buffers, opt) {
+    var application = opt.app || app,
+        prefix = opt.id,
+        accessors = [],
+        Node = PhiloGL.SceneGraph.Node,
+        ans = {
+          json: json,
+          textures: (json.textures || []).map(function(texture, i) {
+            return prefix + '-texture-' + i;
+          }),
+          models: [],
+          cameras: []
+        };
+
+    if (!json.asset || String(json.asset.version).charAt(0) != '2') {
+      throw 'Only glTF 2.0 files are supported';
+    }
+
+    function getAccessor(index) {
+      return accessors[index] = accessors[index] || readAccessor(json, buffers, index);
+    }
+
+    function getTexture(info) {
+      return info? ans.textures[info.index] : null;
+    }
+
+    ans.materials = (json.materials || []).map(function(desc) {
+      var pbr = desc.pbrMetallicRoughness || {},
+          material = new PhiloGL.O3D.Material({
+            baseColor: pbr.baseColorFactor || [1, 1, 1, 1],
+            metallic: 'metallicFactor' in pbr? pbr.metallicFactor : 1,
+            roughness: 'roughnessFactor' in pbr? pbr.roughnessFactor : 1,
+            emissive: desc.emissiveFactor || [0, 0, 0],
+            normalScale: desc.normalTexture && 'scale' in desc.normalTexture? desc.normalTexture.scale : 1,
+            occlusionStrength: desc.occlusionTexture && 'strength' in desc.occlusionTexture? desc.occlusionTexture.strength : 1,
+            baseColorMap: getTexture(pbr.baseColorTexture),
+            metallicRoughnessMap: getTexture(pbr.metallicRoughnessTexture),
+            normalMap: getTexture(desc.normalTexture),
+            occlusionMap: getTexture(desc.occlusionTexture),
+            emissiveMap: getTexture(desc.emissiveTexture)
+          });
+
+      material.name = desc.name;
+      material.alphaMode = desc.alphaMode || 'OPAQUE';
+      material.doubleSided = !!desc.doubleSided;
+      return material;
+    });
+
+    //Creates the models of a mesh, one per primitive
+    function createModels(mesh) {
+      return mesh.primitives.map(function(primitive) {
+        var attributes = primitive.attributes,
+            material = ans.materials[primitive.material],
+            drawType = gltfModes[primitive.mode === undefined? 4 : primitive.mode],
+            uniforms = $.extend({}, opt.model.uniforms),
+            options = {
+              drawType: drawType,
+              vertices: toFloat32(getAccessor(attributes.POSITION)),
+              attributes: {}
+            },
+            colors, model;
+
+        if (primitive.indices !== undefined) {
+          var indices = getAccessor(primitive.indices);
+          options.indices = indices instanceof Uint8Array? new Uint16Array(indices) : indices;
+        }
+        for (var name in attributes) {
+          var value = getAccessor(attributes[name]);
+          switch (name) {
+            case 'POSITION':
+              break;
+            case 'NORMAL':
+              options.normals = value;
+              break;
+            case 'TANGENT':
+              options.tangents = value;
+              break;
+            case 'TEXCOORD_0':
+              options.texCoords = toFloat32(value);
+              break;
+            case 'COLOR_0':
+              colors = toFloat32(value);
+              //rgb colors get an alpha of 1
+              if (value.size == 3) {
+                options.colors = new Float32Array(colors.length / 3 * 4);
+                for (var i = 0, l = colors.length / 3; i < l; i++) {
+                  options.colors.set(colors.subarray(i * 3, i * 3 + 3), i * 4);
+                  options.colors[i * 4 + 3] = 1;
+                }
+              } else {
+                options.colors = colors;
+              }
+              break;
+            //other attributes keep their glTF name
+            default:
+              options.attributes[name] = {
+                value: toFloat32(value),
+                size: value.size
+              };
+          }
+        }
+
+        if (material) {
+          options.material = material;
+          options.maps = {
+            diffuse: material.baseColorMap,
+            normal: material.normalMap,
+            emissive: material.emissiveMap
+          };
+          if (material.baseColorMap && opt.textures) {
+            options.textures = [material.baseColorMap];
+          }
+          options.colors = options.colors || material.baseColor;
+          options.transparent = material.alphaMode == 'BLEND';
+          options.state = {
+            cullFace: !material.doubleSided
+          };
+        }
+        //flat normals and tangents for triangles that don't have them
+        if (drawType == 'TRIANGLES') {
+          if (!options.normals) {
+            options.computeNormals = { flat: true };
+          }
+          options.computeTangents = !options.tangents && !!options.texCoords && !!material && !!material.normalMap;
+        }
+
+        options = $.extend(options, opt.model);
+        options.uniforms = uniforms;
+        model = new PhiloGL.O3D.Model(options);
+        model.name = mesh.name;
+        ans.models.push(model);
+        return model;
+      });
+    }
+
+    ans.nodes = (json.nodes || []).map(function(desc) {
+      var node = new Node();
+      node.name = desc.name;
+      setNodeTransform(node, desc);
+      //each node gets its own models, a model can only be attached to one node
+      if (desc.mesh !== undefined) {
+        node.attach.apply(node, createModels(json.meshes[desc.mesh]));
+      }
+      return node;
+    });
+    ans.nodes.forEach(function(node, i) {
+      (json.nodes[i].children || []).forEach(function(child) {
+        node.add(ans.nodes[child]);
+      });
+    });
+
+    ans.scenes = (json.scenes || []).map(function(desc) {
+      var scene = new Node();
+      scene.name = desc.name;
+      (desc.nodes || []).forEach(function(index) {
+        scene.add(ans.nodes[index]);
+      });
+      return scene;
+    });
+    ans.scene = ans.scenes[json.scene || 0] || null;
+
+    //world matrices to place the cameras
+    ans.scenes.concat(ans.nodes).forEach(function(node) {
+      if (!node.parent) {
+        node.transform();
+      }
+    });
+
+    (json.nodes || []).forEach(function(desc, i) {
+      if (desc.camera === undefined) {
+        return;
+      }
+      var node = ans.nodes[i],
+          w = node.worldMatrix,
+          cam = json.cameras[desc.camera],
+          p = cam.perspective,
+          o = cam.orthographic,
+          camera;
+
+      //cameras look down their -z axis
+      var options = {
+        type: p? 'perspective' : 'orthographic',
+        position: { x: w[12], y: w[13], z: w[14] },
+        target: { x: w[12] - w[8], y: w[13] - w[9], z: w[14] - w[10] },
+        up: { x: w[4], y: w[5], z: w[6] }
+      };
+
+      if (p) {
+        camera = new PhiloGL.Camera(p.yfov * 180 / Math.PI,
+                                    p.aspectRatio || (application? application.canvas.width / application.canvas.height : 1),
+                                    p.znear, p.zfar || 10000, options);
+      } else {
+        camera = new PhiloGL.Camera(o.znear? Math.atan(o.ymag / o.znear) * 360 / Math.PI : 90,
+                                    o.xmag / o.ymag, o.znear, o.zfar, options);
+      }
+      if (o) {
+        //glTF gives the orthographic extents, keep them on updates
+        camera.update = function() {
+          PhiloGL.Camera.prototype.update.call(this);
+          this.projection = new Mat4().ortho(-o.xmag, o.xmag, o.ymag, -o.ymag, o.znear, o.zfar);
+        };
+      }
+      camera.update();
+      camera.name = cam.name;
+      camera.node = node;
+      ans.cameras.push(camera);
+    });
+
+    return ans;
+  }
+
+  //Returns the buffers of a glTF file. Embedded and data uri buffers
+  //are decoded, other buffers must be in given.
+  function getGLTFBuffers(json, buffers, given) {
+    return (json.buffers || []).map(function(buffer, i) {
+      var ans = given && given[i] || buffers[i] || buffer.uri && /^data:/.test(buffer.uri) && decodeDataURI(buffer.uri);
+      if (!ans) {
+        throw 'Buffer ' + i + ' of the glTF file is not loaded';
+      }
+      return ans;
+    });
+  }
+
+  //Load a glTF (JSON or GLB) file with its buffers and textures.
+  //Returns a Promise resolved with the models, nodes, scenes and cameras.
+  var GLTF = function(opt) {
+    opt = $.merge({
+      url: '',
+      //prefix of the texture names
+      id: false,
+      noCache: false,
+      textures: true,
+      model: {},
+      onSuccess: $.empty,
+      onError: $.empty
+    }, opt || {});
+
+    var deferred = $.defer(),
+        path = getPath(opt.url),
+        done = false,
+        json;
+
+    opt.id = opt.id || opt.url;
+
+    //only the first error is reported
+    function fail(e) {
+      if (done) return;
+      done = true;
+      e = PhiloGL.Error.from('parse', e, { url: opt.url });
+      deferred.reject(e);
+      opt.onError(e);
+    }
+
+    function finish(ans) {
+      if (done) return;
+      done = true;
+      deferred.resolve(ans);
+      opt.onSuccess(ans);
+    }
+
+    //creates the models once the buffers are loaded, then loads the textures
+    function complete(buffers) {
+      if (done) return;
+      var ans, textures, count;
+      try {
+        buffers = getGLTFBuffers(json, [], buffers);
+        ans = createGLTF(json, buffers, opt);
+        textures = opt.textures? getGLTFTextures(json, buffers, path, opt.id) : [];
+      } catch (e) {
+        fail(e);
+        return;
+      }
+      count = textures.length;
+      if (!count) {
+        finish(ans);
+        return;
+      }
+      textures.forEach(function(texture) {
+        Textures($.merge(texture.options, {
+          src: [texture.src],
+          id: [texture.id],
+          app: opt.app,
+          noCache: opt.noCache && !/^(data|blob):/.test(texture.src),
+          onError: fail,
+          onComplete: function() {
+            if (/^blob:/.test(texture.src)) {
+              URL.revokeObjectURL(texture.src);
+            }
+            if (!--count) {
+              finish(ans);
+            }
+          }
+        }));
+      });
+    }
+
+    request({
+      url: opt.url,
+      noCache: opt.noCache,
+      responseType: 'arraybuffer'
+    }, function(data) {
+      var container, buffers, pending = 1;
+
+      function loaded() {
+        if (!--pending) {
+          complete(buffers);
+        }
+      }
+
+      try {
+        container = readGLTFContainer(data);
+      } catch (e) {
+        fail(e);
+        return;
+      }
+      json = container.json;
+      buffers = container.buffers;
+      //request the external buffers
+      (json.buffers || []).forEach(function(buffer, i) {
+        if (buffers[i] || !buffer.uri || /^data:/.test(buffer.uri)) {
+          return;
+        }
+        pending++;
+        request({
+          url: resolveURL(path, buffer.uri),
+          noCache: opt.noCache,
+          responseType: 'arraybuffer'
+        }, function(data) {
+          buffers[i] = data;
+          loaded();
+        }, fail);
+      });
+      loaded();
+    }, fail);
+
+    return deferred.promise;
+  };
+
+  //Creates the models, nodes, scenes and cameras of a glTF file given as an
+  //ArrayBuffer (JSON or GLB), a string or the parsed JSON. External buffers
+  //are given as ArrayBuffers in the buffers option. Textures are not loaded.
+  GLTF.parse = function(data, opt) {
+    opt = $.merge({
+      id: false,
+      buffers: [],
+      textures: false,
+      model: {}
+    }, opt || {});
+
+    var container = readGLTFContainer(data);
+    opt.id = opt.id || $.uid();
+    return createGLTF(container.json, getGLTFBuffers(container.json, container.buffers, opt.buffers), opt);
+  };
+
+  //Requests a mesh file as an ArrayBuffer and creates its model with parse.
+  //Returns a Promise resolved with the model.
+  function requestModel(opt, parse) {
+    var deferred = $.defer();
+
+    function fail(e) {
+      e = PhiloGL.Error.from('parse', e, { url: opt.url });
+      deferred.reject(e);
+      opt.onError(e);
+    }
+
+    request({
+      url: opt.url,
+      noCache: opt.noCache,
+      responseType: 'arraybuffer'
+    }, function(data) {
+      var model;
+      try {
+        model = parse(data, opt);
+      } catch (e) {
+        fail(e);
+        return;
+      }
+      deferred.resolve(model);
+      opt.onSuccess(model);
+    }, fail);
+
+    return deferred.promise;
+  }
+
+  //PLY property types as DataView getters and byte sizes
+  var plyTypes = {
+    char: ['Int8', 1],
+    uchar: ['Uint8', 1],
+    short: ['Int16', 2],
+    ushort: ['Uint16', 2],
+    int: ['Int32', 4],
+    uint: ['Uint32', 4],
+    float: ['Float32', 4],
+    double: ['Float64', 8]
+  };
+  ['int8', 'uint8', 'int16', 'uint16', 'int32', 'uint32', 'float32', 'float64'].forEach(function(type, i) {
+    plyTypes[type] = plyTypes[['char', 'uchar', 'short', 'ushort', 'int', 'uint', 'float', 'double'][i]];
+  });
+
+  //Parses a PLY header. Returns its format, elements and byte length.
+  function parsePLYHeader(bytes) {
+    var header = '',
+        match = null,
+        i = 0,
+        l = bytes.length;
+
+    for (; i < l && !match; i++) {
+      header += String.fromCharCode(bytes[i]);
+      if (bytes[i] == 10) {
+        match = /end_header\r?\n$/.exec(header);
+      }
+    }
+    if (!/^ply\r?\n/.test(header) || !match) {
+      throw 'Invalid PLY header';
+    }
+
+    var ans = {
+          format: null,
+          elements: [],
+          length: i
+        },
+        lines = header.split(/\r?\n/),
+        element = null;
+
+    lines.forEach(function(line) {
+      var parts = line.trim().split(/\s+/);
+      switch (parts[0]) {
+        case 'format':
+          ans.format = parts[1];
+          break;
+        case 'element':
+          ans.elements.push(element = {
+            name: parts[1],
+            count: +parts[2],
+            properties: []
+          });
+          break;
+        case 'property':
+          if (parts[1] == 'list') {
+            element.properties.push({
+              name: parts[4],
+              countType: parts[2],
+              type: parts[3],
+              list: true
+            });
+          } else {
+            element.properties.push({
+              name: parts[2],
+              type: parts[1]
+            });
+          }
+          break;
+      }
+    });
+
+    if (['ascii', 'binary_little_endian', 'binary_big_endian'].indexOf(ans.format) == -1) {
+      throw 'Unsupported PLY format ' + ans.format;
+    }
+    ans.elements.forEach(function(element) {
+      element.properties.forEach(function(property) {
+        if (!plyTypes[property.type] || property.list && !plyTypes[property.countType]) {
+          throw 'Unsupported PLY property type in ' + property.name;
+        }
+      });
+    });
+    return ans;
+  }
+
+  //Creates a model from the contents of a PLY file given as an ArrayBuffer or
+  //a string. Models without faces are drawn as points.
+  function parsePLY(data, opt) {
+    opt = $.merge({
+      computeNormals: true,
+      model: {}
+    }, opt || {});
+
+    if (typeof data == 'string') {
+      data = new TextEncoder().encode(data).buffer;
+    }
+
+    var bytes = new Uint8Array(data),
+        header = parsePLYHeader(bytes),
+        view = new DataView(data),
+        littleEndian = header.format == 'binary_little_endian',
+        offset = header.length,
+        tokens = null,
+        token = 0,
+        vertex = {},
+        types = {},
+        indices = [],
+        read;
+
+    if (header.format == 'ascii') {
+      tokens = new TextDecoder().decode(bytes.subarray(offset)).trim().split(/\s+/);
+      read = function() {
+        return +tokens[token++];
+      };
+    } else {
+      read = function(type) {
+        var desc = plyTypes[type],
+            value = view['get' + desc[0]](offset, littleEndian);
+        offset += desc[1];
+        return value;
+      };
+    }
+
+    header.elements.forEach(function(element) {
+      var properties = element.properties,
+          isVertex = element.name == 'vertex',
+          isFace = element.name == 'face',
+          i, j, k, n, value, property, list;
+
+      if (isVertex) {
+        properties.forEach(function(property) {
+          if (!property.list) {
+            vertex[property.name] = new Float32Array(element.count);
+            types[property.name] = property.type;
+          }
+        });
+      }
+      for (i = 0; i < element.count; i++) {
+        for (j = 0; j < properties.length; j++) {
+          property = properties[j];
+          if (!property.list) {
+            value = read(property.type);
+            if (isVertex) {
+              vertex[property.name][i] = value;
+            }
+            continue;
+          }
+          for (k = 0, n = read(property.countType), list = []; k < n; k++) {
+            list.push(read(property.type));
+          }
+          //triangulate polygons as fans
+          if (isFace && (property.name == 'vertex_indices' || property.name == 'vertex_index')) {
+            for (k = 2; k < n; k++) {
+              indices.push(list[0], list[k - 1], list[k]);
+            }
+          }
+        }
+      }
+    });
+
+    if (!vertex.x || !vertex.y || !vertex.z) {
+      throw 'The PLY file has no vertex positions';
+    }
+
+    var count = vertex.x.length,
+        options = {
+          vertices: interleave([vertex.x, vertex.y, vertex.z]),
+          attributes: {}
+        },
+        known = {};
+
+    ['x', 'y', 'z'].forEach(function(name) {
+      known[name] = true;
+    });
+    if (vertex.nx && vertex.ny && vertex.nz) {
+      options.normals = interleave([vertex.nx, vertex.ny, vertex.nz]);
+      known.nx = known.ny = known.nz = true;
+    }
+    if (vertex.red && vertex.green && vertex.blue) {
+      //integer colors go from 0 to 255
+      var scale = /^(float|double)/.test(types.red)? 1 : 255,
+          alpha = vertex.alpha || new Float32Array(count).fill(scale);
+
+      options.colors = interleave([vertex.red, vertex.green, vertex.blue, alpha]);
+      if (scale != 1) {
+        for (var i = 0, l = options.colors.length; i < l; i++) {
+          options.colors[i] /= scale;
+        }
+      }
+      known.red = known.green = known.blue = known.alpha = true;
+    }
+    [['u', 'v'], ['s', 't'], ['texture_u', 'texture_v']].forEach(function(names) {
+      if (!options.texCoords && vertex[names[0]] && vertex[names[1]]) {
+        options.texCoords = interleave([vertex[names[0]], vertex[names[1]]]);
+        known[names[0]] = known[names[1]] = true;
+      }
+    });
+    //other vertex properties are exposed as attributes
+    for (var name in vertex) {
+      if (!known[name]) {
+        options.attributes[name] = {
+          value: vertex[name],
+          size: 1
+        };
+      }
+    }
+
+    if (indices.length) {
+      options.indices = count > 65536? new Uint32Array(indices) : new Uint16Array(indices);
+      if (!options.normals && opt.computeNormals) {
+        options.computeNormals = opt.computeNormals;
+      }
+    } else {
+      options.drawType = 'POINTS';
+    }
+
+    return new PhiloGL.O3D.Model($.extend(options, opt.model));
+  }
+
+  //Interleaves arrays of the same length into a Float32Array
+  function interleave(arrays) {
+    var size = arrays.length,
+        count = arrays[0].length,
+        ans = new Float32Array(count * size);
+
+    for (var i = 0; i < count; i++) {
+      for (var j = 0; j < size; j++) {
+        ans[i * size + j] = arrays[j][i];
+      }
+    }
+    return ans;
+  }
+
+  //Load a PLY file into a model
+  //Returns a Promise resolved with the model.
+  var PLY = function(opt) {
+    opt = $.merge({
+      url: '',
+      noCache: false,
+      computeNormals: true,
+      model: {},
+      onSuccess: $.empty,
+      onError: $.empty
+    }, opt || {});
+
+    return requestModel(opt, parsePLY);
+  };
+
+  PLY.parse = parsePLY;
+
+  //Creates a model from the contents of an STL file given as an ArrayBuffer or
+  //a string. Triangles don't share vertices and get the facet normals.
+  function parseSTL(data, opt) {
+    opt = $.merge({
+      computeNormals: false,
+      model: {}
+    }, opt || {});
+
+    var options = {},
+        vertices, normals, colors, count, i, j;
+
+    if (typeof data != 'string' && isBinarySTL(data)) {
+      var view = new DataView(data),
+          header = new Uint8Array(data, 0, 80),
+          defaultColor = null;
+
+      count = view.getUint32(80, true);
+      vertices = new Float32Array(count * 9);
+      normals = new Float32Array(count * 9);
+
+      //Materialise files have a default color in the header and per facet colors
+      for (i = 0; i < 70; i++) {
+        if (String.fromCharCode.apply(null, header.subarray(i, i + 6)) == 'COLOR=') {
+          defaultColor = [header[i + 6] / 255, header[i + 7] / 255, header[i + 8] / 255, header[i + 9] / 255];
+          colors = new Float32Array(count * 12);
+          break;
+        }
+      }
+
+      for (i = 0; i < count; i++) {
+        var offset = 84 + i * 50;
+        for (j = 0; j < 9; j++) {
+          vertices[i * 9 + j] = view.getFloat32(offset + 12 + j * 4, true);
+          normals[i * 9 + j] = view.getFloat32(offset + (j % 3) * 4, true);
+        }
+        if (colors) {
+          var packed = view.getUint16(offset + 48, true),
+              //the facet color is used when bit 15 is 0
+              color = packed & 0x8000? defaultColor :
+                [(packed & 31) / 31, (packed >> 5 & 31) / 31, (packed >> 10 & 31) / 31, defaultColor[3]];
+          for (j = 0; j < 3; j++) {
+            colors.set(color, i * 12 + j * 4);
+          }
+        }
+      }
+    } else {
+      var text = typeof data == 'string'? data : new TextDecoder().decode(new Uint8Array(data)),
+          number = '([-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][-+]?\\d+)?)',
+          facetPattern = new RegExp('facet\\s+normal\\s+' + number + '\\s+' + number + '\\s+' + number, 'g'),
+          vertexPattern = new RegExp('vertex\\s+' + number + '\\s+' + number + '\\s+' + number, 'g'),
+          facets = [],
+          points = [],
+          match;
+
+      if (!/^\s*solid/.test(text)) {
+        throw 'Invalid STL file';
+      }
+      while ((match = facetPattern.exec(text))) {
+        facets.push(+match[1], +match[2], +match[3]);
+      }
+      while ((match = vertexPattern.exec(text))) {
+        points.push(+match[1], +match[2], +match[3]);
+      }
+      count = facets.length / 3;
+      if (points.length != count * 9) {
+        throw 'Invalid STL file, facets must have three vertices';
+      }
+      vertices = new Float32Array(points);
+      normals = new Float32Array(count * 9);
+      for (i = 0; i < count; i++) {
+        for (j = 0; j < 9; j++) {
+          normals[i * 9 + j] = facets[i * 3 + j % 3];
+        }
+      }
+    }
+
+    options.vertices = vertices;
+    //some exporters write zero normals
+    for (i = 0; i < normals.length; i += 9) {
+      if (!normals[i] && !normals[i + 1] && !normals[i + 2]) {
+        options.computeNormals = { flat: true };
+        break;
+      }
+    }
+    if (opt.computeNormals) {
+      options.computeNormals = opt.computeNormals;
+    }
+    if (!options.computeNormals) {
+      options.normals = normals;
+    }
+    if (colors) {
+      options.colors = colors;
+    }
+
+    return new PhiloGL.O3D.Model($.extend(options, opt.model));
+  }
+
+  //Binary STL files have a 80 byte header, a triangle count and 50 bytes
+  //per triangle. ASCII files start with `solid`, binary ones might too.
+  function isBinarySTL(data) {
+    if (data.byteLength < 84) {
+      return false;
+    }
+    return data.byteLength == 84 + new DataView(data).getUint32(80, true) * 50;
+  }
+
+  //Load an STL file into a model
+  //Returns a Promise resolved with the model.
+  var STL = function(opt) {
+    opt = $.merge({
+      url: '',
+      noCache: false,
+      computeNormals: false,
+      model: {},
+      onSuccess: $.empty,
+      onError: $.empty
+    }, opt || {});
+
+    return requestModel(opt, parseSTL);
+  };
+
+  STL.parse = parseSTL;
+
   IO.XHR = XHR;
   IO.JSONP = JSONP;
   IO.Images = Images;
   IO.Textures = Textures;
+  IO.OBJ = OBJ;
+  IO.GLTF = GLTF;
+  IO.PLY = PLY;
+  IO.STL = STL;
   PhiloGL.IO = IO;
 
 })();
@@ -10,22 +10,44 @@
   Image.postProcess = (function() {
     //length given a 45 fov angle, and 0.2 distance to camera
     var length = 0.16568542494923805;
-    var plane = new PhiloGL.O3D.Plane({
-      type: 'x,y',
-      xlen: length,
-      ylen: length,
-      offset: 0
-    }), camera = new PhiloGL.Camera(45, 1, 0.1, 500, {
-      position: { x: 0, y: 0, z: 0.2 }
-    }), scene = new PhiloGL.Scene({}, camera);
+
+    //each application gets its own plane, camera and scene since buffers
+    //are created in the application context.
+    function getPostProcessScene(app) {
+      if (app.$postProcessScene) {
+        return app.$postProcessScene;
+      }
+      var plane = new PhiloGL.O3D.Plane({
+        type: 'x,y',
+        xlen: length,
+        ylen: length,
+        offset: 0
+      }), camera = new PhiloGL.Camera(45, 1, 0.1, 500, {
+        position: { x: 0, y: 0, z: 0.2 }
+      }), scene = new PhiloGL.Scene({}, camera, {
+        app: app
+      });
+
+      return (app.$postProcessScene = {
+        plane: plane,
+        camera: camera,
+        scene: scene
+      });
+    }
 
     return function(opt) {
-      var program = app.program.$$family ? app.program : app.program[opt.program],
+      var application = opt.app || app,
+          gl = application.gl,
+          postProcessScene = getPostProcessScene(application),
+          plane = postProcessScene.plane,
+          camera = postProcessScene.camera,
+          scene = postProcessScene.scene,
+          program = application.program.$$family ? application.program : application.program[opt.program],
           textures = opt.fromTexture ? $.splat(opt.fromTexture) : [],
           framebuffer = opt.toFrameBuffer,
           screen = !!opt.toScreen,
-          width = opt.width || app.canvas.width,
-          height = opt.height || app.canvas.height,
+          width = opt.width || application.canvas.width,
+          height = opt.height || application.canvas.height,
           x = opt.viewportX || 0,
           y = opt.viewportY || 0;
 
@@ -44,8 +66,8 @@
 
       if (framebuffer) {
         //create framebuffer
-        if (!(framebuffer in app.frameBufferMemo)) {
-          app.setFrameBuffer(framebuffer, {
+        if (!(framebuffer in application.frameBufferMemo)) {
+          application.setFrameBuffer(framebuffer, {
             width: width,
             height: height,
             bindToTexture: {
@@ -62,12 +84,12 @@
           });
         }
         program.use();
-        app.setFrameBuffer(framebuffer, true);
+        application.setFrameBuffer(framebuffer, true);
         gl.viewport(x, y, width, height);
         gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
         program.setUniforms(opt.uniforms || {});
         scene.renderToTexture(framebuffer);
-        app.setFrameBuffer(framebuffer, false);
+        application.setFrameBuffer(framebuffer, false);
       }
 
       if (screen) {
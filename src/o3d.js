@@ -35,6 +35,46 @@
     }
   }
 
+  //whether an array of indices doesn't fit in 16 bits
+  function needsUint32(arr) {
+    for (var i = 0, l = arr.length; i < l; i++) {
+      if (arr[i] > 65535) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  //Returns the vertex index of each triangle corner of a model,
+  //its indices or 0, 1, 2... for models without indices
+  function getTriangles(model) {
+    var drawType = model.drawType;
+    if (drawType !== undefined && drawType != 'TRIANGLES' && drawType !== 4) {
+      throw 'Only TRIANGLES models are supported, not ' + drawType;
+    }
+    if (model.$indices) {
+      return model.$indices;
+    }
+    for (var i = 0, l = model.$verticesLength / 3, ans = new Uint32Array(l); i < l; i++) {
+      ans[i] = i;
+    }
+    return ans;
+  }
+
+  //Returns a copy of a per-vertex array with copies of the
+  //vertices in sources appended
+  function appendVertices(array, size, sources) {
+    var length = array.length,
+        ans = new array.constructor(length + sources.length * size);
+    ans.set(array);
+    for (var i = 0, l = sources.length; i < l; i++) {
+      for (var c = 0; c < size; c++) {
+        ans[length + i * size + c] = array[sources[i] * size + c];
+      }
+    }
+    return ans;
+  }
+
   //Model repository
   var O3D = {
       //map attribute names to property names
@@ -42,6 +82,7 @@
       attributeMap: {
         'position': 'vertices',
         'normal': 'normals',
+        'tangent': 'tangents',
         'pickingColor': 'pickingColors',
         'colors': 'color'
       }
@@ -57,6 +98,7 @@
 
     this.vertices = opt.vertices;
     this.normals = opt.normals;
+    this.tangents = opt.tangents;
     this.textures = opt.textures && $.splat(opt.textures);
     this.colors = opt.colors;
     this.indices = opt.indices;
@@ -72,16 +114,46 @@
       this.texCoords = opt.texCoords;
     }
 
+    //named texture slots ({ diffuse, normal, specular, emissive }) bound to
+    //the diffuseMap, normalMap, specularMap and emissiveMap samplers
+    this.maps = opt.maps || {};
+
     //extra uniforms
     this.uniforms = opt.uniforms || {};
     //extra attribute descriptors
     this.attributes = opt.attributes || {};
+    //number of instances to draw (0 disables instancing) and
+    //per-instance attribute descriptors
+    this.instances = opt.instances || 0;
+    for (var name in opt.instanceAttributes) {
+      var descriptor = opt.instanceAttributes[name];
+      descriptor.instanced = descriptor.instanced || 1;
+      this.attributes[name] = descriptor;
+    }
     //override the render method
     this.render = opt.render;
     //whether to render as triangles, lines, points, etc.
     this.drawType = opt.hasOwnProperty('drawType') ? opt.drawType : 'TRIANGLES';
     //whether to display the object at all
     this.display = 'display' in opt? opt.display : true;
+    //whether the scene can skip the model when it's outside the camera frustum
+    this.frustumCulling = 'frustumCulling' in opt? opt.frustumCulling : true;
+    //transparent models are rendered after opaque ones, back to front,
+    //with their blend function and depth writes
+    this.transparent = !!opt.transparent;
+    this.blend = opt.blend || {
+      src: 'SRC_ALPHA',
+      dst: 'ONE_MINUS_SRC_ALPHA'
+    };
+    this.depthWrite = 'depthWrite' in opt? opt.depthWrite : !this.transparent;
+    //render state (blending, depth, culling, etc.) set while rendering the model
+    this.state = opt.state || {};
+    //whether the model is rendered into the shadow maps of the lights
+    this.castShadows = 'castShadows' in opt? opt.castShadows : true;
+    //physically based material, shared by the models that reference it
+    if (opt.material) {
+      this.material = opt.material.$$family == 'material'? opt.material : new O3D.Material(opt.material);
+    }
     //before and after render callbacks
     this.onBeforeRender = opt.onBeforeRender || $.empty;
     this.onAfterRender = opt.onAfterRender || $.empty;
@@ -99,8 +171,13 @@
       this.computeCentroids();
     }
 
+    //true or the computeNormals options
     if (opt.computeNormals) {
-      this.computeNormals();
+      this.computeNormals($.type(opt.computeNormals) == 'object'? opt.computeNormals : {});
+    }
+
+    if (opt.computeTangents) {
+      this.computeTangents();
     }
 
   };
@@ -155,9 +232,25 @@
       }
     },
 
+    setTangents: function(program) {
+      if (!this.$tangents) return;
+
+      if (this.dynamic) {
+        program.setBuffer('tangent-' + this.id, {
+          attribute: 'tangent',
+          value: this.$tangents,
+          size: 4
+        });
+      } else {
+        program.setBuffer('tangent-' + this.id);
+      }
+    },
+
     setIndices: function(program) {
       if (!this.$indices) return;
 
+      var gl = program.gl;
+
       if (this.dynamic) {
         program.setBuffer('indices-' + this.id, {
           bufferType: gl.ELEMENT_ARRAY_BUFFER,
@@ -237,53 +330,259 @@
 
     setTextures: function(program, force) {
       this.textures = this.textures? $.splat(this.textures) : [];
-      var dist = 5, tex2D = 0, texCube = 0;
+      var gl = program.gl, dist = 5, tex2D = 0, texCube = 0,
+          textureUnits = program.textureUnits, sampler;
+      //textures are bound to the units of the samplers that sample them (see
+      //Program.textureUnits), and only when the program declares them
       for (var i = 0, texs = this.textures, l = texs.length, mtexs = PhiloGL.Scene.MAX_TEXTURES; i < mtexs; i++) {
         if (i < l) {
-          var isCube = app.textureMemo[texs[i]].isCube;
+          var isCube = program.app.textureMemo[texs[i]].isCube;
           if (isCube) {
             program.setUniform('hasTextureCube' + (i + 1), true);
-            program.setTexture(texs[i], gl['TEXTURE' + i]);
-            program.setUniform('samplerCube' + (texCube + 1), i);
-            texCube++;
+            sampler = 'samplerCube' + (++texCube);
           } else {
             program.setUniform('hasTexture' + (i + 1), true);
-            program.setTexture(texs[i], gl['TEXTURE' + i]);
-            program.setUniform('sampler' + (tex2D + 1), i);
-            tex2D++;
+            sampler = 'sampler' + (++tex2D);
+          }
+          if (sampler in textureUnits) {
+            program.setTexture(texs[i], gl.TEXTURE0 + textureUnits[sampler]);
           }
         } else {
           program.setUniform('hasTextureCube' + (i + 1), false);
           program.setUniform('hasTexture' + (i + 1), false);
-          program.setUniform('sampler' + (++tex2D), i);
-          program.setUniform('samplerCube' + (++texCube), i);
         }
       }
+
+      //named slots, skipped when the program doesn't sample them
+      var slots = O3D.textureSlots;
+      for (i = 0, l = slots.length; i < l; i++) {
+        var slot = slots[i],
+            name = this.maps[slot],
+            //textures that are still loading are left out
+            loaded = !!name && name in program.app.textures;
+
+        if (!((slot + 'Map') in textureUnits)) continue;
+
+        program.setUniform('has' + slot.charAt(0).toUpperCase() + slot.slice(1) + 'Map', loaded);
+        if (loaded) {
+          program.setTexture(name, gl.TEXTURE0 + textureUnits[slot + 'Map']);
+        }
+      }
+
+      if (this.material) {
+        this.material.setUniforms(program);
+      }
     },
 
+    //Sets uniforms, textures and buffers. Unless the model is dynamic the
+    //buffer bindings are captured into a vertex array object per program
+    //(when supported) that is just bound for later renders.
     setState: function(program) {
+      var app = program.app,
+          vertexArrays = program.vertexArrays,
+          id = this.id,
+          useVertexArray = !this.dynamic && app.capabilities.vertexArrayObjects;
+
       this.setUniforms(program);
+      this.setTextures(program);
+
+      if (useVertexArray && vertexArrays[id]) {
+        app.bindVertexArray(vertexArrays[id]);
+        return;
+      }
+
+      if (useVertexArray) {
+        app.bindVertexArray(vertexArrays[id] = app.createVertexArray());
+      } else if (vertexArrays[id]) {
+        //dynamic models might create new buffers, capture them again later
+        app.deleteVertexArray(vertexArrays[id]);
+        delete vertexArrays[id];
+      }
+
       this.setAttributes(program);
       this.setVertices(program);
       this.setColors(program);
       this.setPickingColors(program);
       this.setNormals(program);
-      this.setTextures(program);
+      this.setTangents(program);
       this.setTexCoords(program);
       this.setIndices(program);
     },
 
     unsetState: function(program) {
-      var attributes = program.attributes;
+      var gl = program.gl,
+          app = program.app,
+          attributes = program.attributes;
+
+      //attributes enabled in a vertex array object stay there
+      if (app.boundVertexArray) {
+        app.bindVertexArray(null);
+        app.bindBuffer(gl.ARRAY_BUFFER, null);
+        return;
+      }
 
       //unbind the array and element buffers
-      gl.bindBuffer(gl.ARRAY_BUFFER, null);
-      gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, null);
+      app.bindBuffer(gl.ARRAY_BUFFER, null);
+      app.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, null);
 
-      for (var name in attributes) {
+      //reset the divisors of per-instance attributes
+      for (var name in this.attributes) {
+        if (this.attributes[name].instanced && attributes[name] !== undefined) {
+          app.vertexAttribDivisor(attributes[name], 0);
+        }
+      }
+
+      for (name in attributes) {
         gl.disableVertexAttribArray(attributes[name]);
       }
 
+    },
+
+    //Splits an indexed model into models with 16 bit indices and at most
+    //maxVertices vertices each. Used when 32 bit indices aren't supported.
+    //primitiveSize is the number of indices per point, line or triangle.
+    splitIndices: function(primitiveSize, maxVertices) {
+      maxVertices = maxVertices || 65536;
+
+      var that = this,
+          indices = this.$indices,
+          nvertices = this.$verticesLength / 3,
+          //position of each vertex in the current chunk
+          remap = new Uint32Array(nvertices),
+          //chunk the vertex was last added to
+          stamp = new Uint32Array(nvertices),
+          chunkNumber = 1,
+          chunkVertices = [],
+          chunkIndices = [],
+          chunks = [],
+          i, j, l, index, added;
+
+      //gathers the chunk vertices of a per-vertex array
+      function gather(array, size) {
+        var ans = new array.constructor(chunkVertices.length * size);
+        for (var k = 0, n = chunkVertices.length; k < n; k++) {
+          for (var c = 0; c < size; c++) {
+            ans[k * size + c] = array[chunkVertices[k] * size + c];
+          }
+        }
+        return ans;
+      }
+
+      function flush() {
+        var texCoords = that.$texCoords,
+            attributes = {},
+            name, descriptor;
+
+        if (texCoords && $.type(texCoords) == 'object') {
+          var ans = {};
+          for (name in texCoords) {
+            ans[name] = gather(texCoords[name], 2);
+          }
+          texCoords = ans;
+        } else if (texCoords) {
+          texCoords = gather(texCoords, 2);
+        }
+
+        //per-instance attributes are copied as they are
+        for (name in that.attributes) {
+          descriptor = attributes[name] = $.extend({}, that.attributes[name]);
+          if (descriptor.value && !descriptor.instanced) {
+            descriptor.value = gather(descriptor.value, descriptor.size || 1);
+          }
+        }
+
+        var chunk = new O3D.Model({
+          id: that.id + '-' + chunks.length,
+          vertices: gather(that.$vertices, 3),
+          normals: that.$normals && gather(that.$normals, 3),
+          tangents: that.$tangents && gather(that.$tangents, 4),
+          colors: that.$colors && gather(that.$colors, 4),
+          pickingColors: that.$pickingColors && gather(that.$pickingColors, 4),
+          texCoords: texCoords,
+          indices: new Uint16Array(chunkIndices),
+          textures: that.textures,
+          uniforms: that.uniforms,
+          material: that.material,
+          maps: that.maps,
+          attributes: attributes,
+          instances: that.instances,
+          drawType: that.drawType,
+          program: that.program
+        });
+        chunk.dynamic = that.dynamic;
+        chunks.push(chunk);
+
+        chunkNumber++;
+        chunkVertices = [];
+        chunkIndices = [];
+      }
+
+      for (i = 0, l = this.$indicesLength; i < l; i += primitiveSize) {
+        //start a new chunk if the primitive vertices don't fit
+        added = 0;
+        for (j = 0; j < primitiveSize; j++) {
+          if (stamp[indices[i + j]] != chunkNumber) {
+            added++;
+          }
+        }
+        if (chunkVertices.length + added > maxVertices) {
+          flush();
+        }
+        for (j = 0; j < primitiveSize; j++) {
+          index = indices[i + j];
+          if (stamp[index] != chunkNumber) {
+            stamp[index] = chunkNumber;
+            remap[index] = chunkVertices.length;
+            chunkVertices.push(index);
+          }
+          chunkIndices.push(remap[index]);
+        }
+      }
+      if (chunkIndices.length) {
+        flush();
+      }
+
+      return chunks;
+    },
+
+    //Deletes the vertex array objects of the model for all programs of an application.
+    deleteVertexArrays: function(app) {
+      var id = this.id;
+      app.programs.forEach(function(program) {
+        if (program.vertexArrays[id]) {
+          app.deleteVertexArray(program.vertexArrays[id]);
+          delete program.vertexArrays[id];
+        }
+      });
+    },
+
+    //Deletes the buffers created for this model in an application.
+    //Buffers are created again if the model is rendered afterwards.
+    dispose: function(app) {
+      this.deleteVertexArrays(app);
+      if (this.$chunks) {
+        this.$chunks.forEach(function(chunk) {
+          chunk.dispose(app);
+        });
+      }
+
+      var id = this.id,
+          names = ['position-', 'normal-', 'tangent-', 'indices-', 'pickingColor-', 'color-', 'texCoord-'].map(function(prefix) {
+            return prefix + id;
+          }),
+          i, l, name;
+
+      for (i = 0, l = this.textures ? this.textures.length : 0; i < l; i++) {
+        names.push('texCoord-' + i + '-' + id);
+      }
+
+      for (name in this.attributes) {
+        names.push(id + '-' + name);
+      }
+
+      for (i = 0, l = names.length; i < l; i++) {
+        app.deleteBuffer(names[i]);
+      }
     }
  };
 
@@ -296,6 +595,8 @@
     },
     vertices: {
       set: function(val) {
+        //bounds are computed again when needed
+        this.bounds = null;
         if (!val) {
             delete this.$vertices;
             delete this.$verticesLength;
@@ -342,6 +643,30 @@
       }
     },
 
+    tangents: {
+      set: function(val) {
+        if (!val) {
+            delete this.$tangents;
+            delete this.$tangentsLength;
+            return;
+        }
+        var vlen = val.length;
+        if (val.BYTES_PER_ELEMENT) {
+          this.$tangents = val;
+        } else {
+          if (this.$tangentsLength == vlen) {
+            this.$tangents.set(val);
+          } else {
+            this.$tangents = new Float32Array(val);
+          }
+        }
+        this.$tangentsLength = vlen;
+      },
+      get: function() {
+        return this.$tangents;
+      }
+    },
+
     colors: {
       set: function(val) {
         if (!val) {
@@ -440,10 +765,12 @@
         if (val.BYTES_PER_ELEMENT) {
           this.$indices = val;
         } else {
-          if (this.$indicesLength == vlen) {
+          //use 32 bit indices for large meshes
+          var ArrayType = needsUint32(val) ? Uint32Array : Uint16Array;
+          if (this.$indicesLength == vlen && this.$indices instanceof ArrayType) {
             this.$indices.set(val);
           } else {
-            this.$indices = new Uint16Array(val);
+            this.$indices = new ArrayType(val);
           }
         }
         this.$indicesLength = vlen;
@@ -470,6 +797,41 @@
       matrix.$scale(scale.x, scale.y, scale.z);
     },
 
+    //Computes the bounding box and sphere of the vertices in model space
+    computeBounds: function() {
+      var vertices = this.$vertices,
+          bmin = [Infinity, Infinity, Infinity],
+          bmax = [-Infinity, -Infinity, -Infinity],
+          radiusSq = 0,
+          i, j, l, center, dx, dy, dz;
+
+      if (!vertices || !vertices.length) {
+        return (this.bounds = null);
+      }
+
+      for (i = 0, l = this.$verticesLength; i < l; i += 3) {
+        for (j = 0; j < 3; j++) {
+          if (vertices[i + j] < bmin[j]) bmin[j] = vertices[i + j];
+          if (vertices[i + j] > bmax[j]) bmax[j] = vertices[i + j];
+        }
+      }
+
+      center = [(bmin[0] + bmax[0]) / 2, (bmin[1] + bmax[1]) / 2, (bmin[2] + bmax[2]) / 2];
+      for (i = 0; i < l; i += 3) {
+        dx = vertices[i    ] - center[0];
+        dy = vertices[i + 1] - center[1];
+        dz = vertices[i + 2] - center[2];
+        radiusSq = max(radiusSq, dx * dx + dy * dy + dz * dz);
+      }
+
+      return (this.bounds = {
+        min: new Vec3(bmin[0], bmin[1], bmin[2]),
+        max: new Vec3(bmax[0], bmax[1], bmax[2]),
+        center: new Vec3(center[0], center[1], center[2]),
+        radius: Math.sqrt(radiusSq)
+      });
+    },
+
     computeCentroids: function() {
       var faces = this.faces,
           vertices = this.vertices,
@@ -500,7 +862,136 @@
       this.centroids = centroids;
     },
 
-    computeNormals: function() {
+    //Computes per vertex normals of a triangle mesh, indexed or not.
+    //Normals are the average of the normals of the faces around a vertex,
+    //weighted by the angle of the faces at the vertex. Vertices in the same
+    //position are smoothed together. Faces more than creaseAngle degrees
+    //apart don't share normals, and the vertices where they meet are split.
+    //Models with `faces` get a normal per face instead.
+    computeNormals: function(opt) {
+      if (this.faces) {
+        return this.computeFaceNormals();
+      }
+
+      opt = opt || {};
+      var vertices = this.$vertices,
+          triangles = getTriangles(this),
+          ncorners = triangles.length,
+          nvertices = this.$verticesLength / 3,
+          creaseAngle = opt.flat? 0 : ('creaseAngle' in opt? opt.creaseAngle : 180),
+          //faces closer than this share normals. Coplanar faces share them in flat mode too.
+          minCos = Math.cos(creaseAngle * pi / 180) - 1e-6,
+          faceNormals = new Float32Array(ncorners),
+          angles = new Float32Array(ncorners),
+          cornerNormals = new Float32Array(ncorners * 3),
+          groups = {},
+          i, j, k, l, c, v, key, group;
+
+      if (!vertices) {
+        throw 'Normals need vertices';
+      }
+
+      //face normals, angles at each corner and corners in the same position
+      for (i = 0; i < ncorners; i += 3) {
+        var p = [triangles[i], triangles[i + 1], triangles[i + 2]],
+            edges = [],
+            normal;
+
+        for (j = 0; j < 3; j++) {
+          edges.push(new Vec3(vertices[p[(j + 1) % 3] * 3    ] - vertices[p[j] * 3    ],
+                              vertices[p[(j + 1) % 3] * 3 + 1] - vertices[p[j] * 3 + 1],
+                              vertices[p[(j + 1) % 3] * 3 + 2] - vertices[p[j] * 3 + 2]));
+        }
+        normal = edges[0].cross(edges[2].scale(-1));
+        //degenerate faces don't contribute
+        if (normal.norm() > 1e-12) {
+          normal.$unit();
+        }
+        faceNormals[i    ] = normal.x;
+        faceNormals[i + 1] = normal.y;
+        faceNormals[i + 2] = normal.z;
+
+        for (j = 0; j < 3; j++) {
+          var e1 = edges[j], e2 = edges[(j + 2) % 3].scale(-1),
+              norms = e1.norm() * e2.norm();
+          angles[i + j] = norms? Math.acos(Math.max(-1, Math.min(1, e1.dot(e2) / norms))) : 0;
+
+          v = p[j] * 3;
+          key = Math.round(vertices[v] * 1e5) + ',' + Math.round(vertices[v + 1] * 1e5) + ',' + Math.round(vertices[v + 2] * 1e5);
+          (groups[key] = groups[key] || []).push(i + j);
+        }
+      }
+
+      //add the weighted normals of the faces around each corner
+      for (key in groups) {
+        group = groups[key];
+        for (j = 0, l = group.length; j < l; j++) {
+          var ca = group[j], fa = ca - ca % 3,
+              nx = 0, ny = 0, nz = 0, norm;
+
+          for (k = 0; k < l; k++) {
+            var cb = group[k], fb = cb - cb % 3;
+            if (faceNormals[fa] * faceNormals[fb] + faceNormals[fa + 1] * faceNormals[fb + 1] +
+                faceNormals[fa + 2] * faceNormals[fb + 2] >= minCos) {
+              nx += faceNormals[fb    ] * angles[cb];
+              ny += faceNormals[fb + 1] * angles[cb];
+              nz += faceNormals[fb + 2] * angles[cb];
+            }
+          }
+          norm = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+          cornerNormals[ca * 3    ] = nx / norm;
+          cornerNormals[ca * 3 + 1] = ny / norm;
+          cornerNormals[ca * 3 + 2] = nz / norm;
+        }
+      }
+
+      //a vertex keeps the normal of its first corner. Corners with
+      //other normals get a copy of the vertex.
+      var normals = new Array(nvertices * 3),
+          sources = [],
+          copies = {},
+          newTriangles = triangles;
+
+      for (c = 0; c < ncorners; c++) {
+        v = triangles[c];
+        var x = cornerNormals[c * 3], y = cornerNormals[c * 3 + 1], z = cornerNormals[c * 3 + 2];
+        if (normals[v * 3] === undefined) {
+          normals[v * 3    ] = x;
+          normals[v * 3 + 1] = y;
+          normals[v * 3 + 2] = z;
+          continue;
+        }
+        if (normals[v * 3] * x + normals[v * 3 + 1] * y + normals[v * 3 + 2] * z > 1 - 1e-4) {
+          continue;
+        }
+        //reuse a copy with the same normal
+        key = v + ':' + x.toFixed(4) + ',' + y.toFixed(4) + ',' + z.toFixed(4);
+        if (!(key in copies)) {
+          copies[key] = nvertices + sources.length;
+          sources.push(v);
+          normals.push(x, y, z);
+        }
+        if (newTriangles === triangles) {
+          newTriangles = slice.call(triangles);
+        }
+        newTriangles[c] = copies[key];
+      }
+
+      //vertices that aren't in any triangle
+      for (i = 0, l = normals.length; i < l; i++) {
+        normals[i] = normals[i] || 0;
+      }
+
+      if (sources.length) {
+        this.duplicateVertices(sources);
+        this.indices = newTriangles;
+      }
+      this.normals = new Float32Array(normals);
+    },
+
+    //Computes a normal per face for models with a `faces` array of
+    //vertex indices and an array of [x, y, z] vertices.
+    computeFaceNormals: function() {
       var faces = this.faces,
           vertices = this.vertices,
           normals = [];
@@ -512,7 +1003,7 @@
             dir1 = {
               x: v3[0] - v2[0],
               y: v3[1] - v2[1],
-              z: v3[1] - v2[2]
+              z: v3[2] - v2[2]
             },
             dir2 = {
               x: v1[0] - v2[0],
@@ -531,6 +1022,123 @@
       });
 
       this.normals = normals;
+    },
+
+    //Appends copies of the vertices in sources (an array of vertex indices)
+    //to all per-vertex arrays: vertices, normals, colors, texture coordinates
+    //tangents and per-vertex attributes.
+    duplicateVertices: function(sources) {
+      var texCoords = this.$texCoords,
+          attributes = this.attributes,
+          name, descriptor;
+
+      this.vertices = appendVertices(this.$vertices, 3, sources);
+      if (this.$normals) {
+        this.normals = appendVertices(this.$normals, 3, sources);
+      }
+      if (this.$tangents) {
+        this.tangents = appendVertices(this.$tangents, 4, sources);
+      }
+      if (this.$colors) {
+        this.colors = appendVertices(this.$colors, 4, sources);
+      }
+      if (this.$pickingColors) {
+        this.pickingColors = appendVertices(this.$pickingColors, 4, sources);
+      }
+      if (texCoords && $.type(texCoords) == 'object') {
+        var ans = {};
+        for (name in texCoords) {
+          ans[name] = appendVertices(texCoords[name], 2, sources);
+        }
+        this.texCoords = ans;
+      } else if (texCoords) {
+        this.texCoords = appendVertices(texCoords, 2, sources);
+      }
+      for (name in attributes) {
+        descriptor = attributes[name];
+        if (descriptor.value && !descriptor.instanced) {
+          descriptor.value = appendVertices(descriptor.value, descriptor.size || 1, sources);
+        }
+      }
+    },
+
+    //Computes per vertex tangents for normal mapping from the vertices,
+    //normals and texture coordinates of a triangle mesh. Tangents have
+    //four components, w is the handedness of the bitangent.
+    computeTangents: function() {
+      var vertices = this.$vertices,
+          normals = this.$normals,
+          texCoords = this.$texCoords,
+          triangles = getTriangles(this),
+          nvertices = this.$verticesLength / 3,
+          ntriangles = triangles.length / 3,
+          tan1 = new Float32Array(nvertices * 3),
+          tan2 = new Float32Array(nvertices * 3),
+          tangents = new Float32Array(nvertices * 4),
+          i, j, a, b, c;
+
+      //use the coordinates of the first texture
+      if (texCoords && $.type(texCoords) == 'object') {
+        texCoords = texCoords[this.textures && this.textures[0]] || texCoords[Object.keys(texCoords)[0]];
+      }
+      if (!vertices || !normals || !texCoords) {
+        throw 'Tangents need vertices, normals and texCoords';
+      }
+
+      //accumulate the uv directions of the triangles
+      for (i = 0; i < ntriangles; i++) {
+        a = triangles[i * 3    ];
+        b = triangles[i * 3 + 1];
+        c = triangles[i * 3 + 2];
+
+        var x1 = vertices[b * 3    ] - vertices[a * 3    ],
+            y1 = vertices[b * 3 + 1] - vertices[a * 3 + 1],
+            z1 = vertices[b * 3 + 2] - vertices[a * 3 + 2],
+            x2 = vertices[c * 3    ] - vertices[a * 3    ],
+            y2 = vertices[c * 3 + 1] - vertices[a * 3 + 1],
+            z2 = vertices[c * 3 + 2] - vertices[a * 3 + 2],
+            s1 = texCoords[b * 2    ] - texCoords[a * 2    ],
+            t1 = texCoords[b * 2 + 1] - texCoords[a * 2 + 1],
+            s2 = texCoords[c * 2    ] - texCoords[a * 2    ],
+            t2 = texCoords[c * 2 + 1] - texCoords[a * 2 + 1],
+            det = s1 * t2 - s2 * t1,
+            r = det? 1 / det : 0,
+            sdir = [(t2 * x1 - t1 * x2) * r, (t2 * y1 - t1 * y2) * r, (t2 * z1 - t1 * z2) * r],
+            tdir = [(s1 * x2 - s2 * x1) * r, (s1 * y2 - s2 * y1) * r, (s1 * z2 - s2 * z1) * r];
+
+        for (j = 0; j < 3; j++) {
+          tan1[a * 3 + j] += sdir[j]; tan1[b * 3 + j] += sdir[j]; tan1[c * 3 + j] += sdir[j];
+          tan2[a * 3 + j] += tdir[j]; tan2[b * 3 + j] += tdir[j]; tan2[c * 3 + j] += tdir[j];
+        }
+      }
+
+      //orthogonalize against the normal (Gram-Schmidt)
+      for (i = 0; i < nvertices; i++) {
+        var nx = normals[i * 3], ny = normals[i * 3 + 1], nz = normals[i * 3 + 2],
+            tx = tan1[i * 3], ty = tan1[i * 3 + 1], tz = tan1[i * 3 + 2],
+            dot = nx * tx + ny * ty + nz * tz,
+            norm;
+
+        tx -= nx * dot;
+        ty -= ny * dot;
+        tz -= nz * dot;
+        norm = Math.sqrt(tx * tx + ty * ty + tz * tz);
+        if (norm > 1e-6) {
+          tx /= norm;
+          ty /= norm;
+          tz /= norm;
+        }
+
+        tangents[i * 4    ] = tx;
+        tangents[i * 4 + 1] = ty;
+        tangents[i * 4 + 2] = tz;
+        //the bitangent is cross(normal, tangent) * w
+        tangents[i * 4 + 3] = ((ny * tz - nz * ty) * tan2[i * 3] +
+                               (nz * tx - nx * tz) * tan2[i * 3 + 1] +
+                               (nx * ty - ny * tx) * tan2[i * 3 + 2]) < 0? -1 : 1;
+      }
+
+      this.tangents = tangents;
     }
 
   });
@@ -538,6 +1146,71 @@
   //Apply our Setters mixin
   $.extend(O3D.Model.prototype, Setters);
 
+  //named texture slots of a model
+  O3D.textureSlots = ['diffuse', 'normal', 'specular', 'emissive'];
+
+  //Material class. Physically based (metallic-roughness) material
+  //properties used by the PBR shaders. Maps are texture names.
+  O3D.Material = function(opt) {
+    opt = opt || {};
+    this.id = opt.id || $.uid();
+    //linear rgba base color, multiplied by the base color map
+    this.baseColor = opt.baseColor || [1, 1, 1, 1];
+    this.metallic = 'metallic' in opt? opt.metallic : 0;
+    this.roughness = 'roughness' in opt? opt.roughness : 0.5;
+    //linear rgb emitted light, multiplied by the emissive map
+    this.emissive = opt.emissive || [0, 0, 0];
+    this.normalScale = 'normalScale' in opt? opt.normalScale : 1;
+    this.occlusionStrength = 'occlusionStrength' in opt? opt.occlusionStrength : 1;
+    O3D.Material.maps.forEach(function(map) {
+      this[map] = opt[map] || null;
+    }, this);
+  };
+
+  //texture maps of a material. Each one is sampled by the uniform of the same
+  //name prefixed with material (materialNormalMap) and enabled by a
+  //hasMaterial<Map> uniform, so they don't collide with the model slots.
+  O3D.Material.maps = ['baseColorMap', 'metallicRoughnessMap', 'normalMap', 'occlusionMap', 'emissiveMap'];
+
+  O3D.Material.prototype = {
+    $$family: 'material',
+
+    //Sets the material uniforms and binds its maps to the texture units of
+    //their samplers (see Program.textureUnits).
+    setUniforms: function(program) {
+      var app = program.app,
+          gl = program.gl,
+          textureUnits = program.textureUnits,
+          maps = O3D.Material.maps;
+
+      program.setUniforms({
+        'baseColor': this.baseColor,
+        'metallic': this.metallic,
+        'roughness': this.roughness,
+        'emissive': this.emissive,
+        'normalScale': this.normalScale,
+        'occlusionStrength': this.occlusionStrength
+      });
+
+      for (var i = 0, l = maps.length; i < l; i++) {
+        var map = maps[i],
+            name = this[map],
+            //maps that are still loading are left out
+            loaded = !!name && name in app.textures;
+
+        var suffix = map.charAt(0).toUpperCase() + map.slice(1);
+
+        //maps the program doesn't sample are skipped
+        if (!(('material' + suffix) in textureUnits)) continue;
+
+        program.setUniform('hasMaterial' + suffix, loaded);
+        if (loaded) {
+          program.setTexture(name, gl.TEXTURE0 + textureUnits['material' + suffix]);
+        }
+      }
+    }
+  };
+
   //Now some primitives, Cube, Sphere, Cone, Cylinder
   //Cube
   O3D.Cube = function(config) {
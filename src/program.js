@@ -26,14 +26,15 @@
 
   //Creates a program from vertex and fragment shader sources.
   var createProgram = function(gl, vertexShader, fragmentShader) {
-    var program = gl.createProgram();
-    gl.attachShader(
-        program,
-        createShader(gl, vertexShader, gl.VERTEX_SHADER));
-    gl.attachShader(
-        program,
-        createShader(gl, fragmentShader,  gl.FRAGMENT_SHADER));
+    var program = gl.createProgram(),
+        vs = createShader(gl, vertexShader, gl.VERTEX_SHADER),
+        fs = createShader(gl, fragmentShader,  gl.FRAGMENT_SHADER);
+    gl.attachShader(program, vs);
+    gl.attachShader(program, fs);
     linkProgram(gl, program);
+    //flag shaders for deletion, they'll be released with the program.
+    gl.deleteShader(vs);
+    gl.deleteShader(fs);
     return program;
   };
 
@@ -48,7 +49,7 @@
 
   // preprocess a source with `#include ""` support
   // `duplist` records all the pending replacements
-  var preprocess = function(base, source, callback, callbackError, duplist) {
+  var preprocess = function(gl, base, source, callback, callbackError, duplist) {
     duplist = duplist || {};
     var match;
     if ((match = source.match(/#include "(.*?)"/))) {
@@ -57,6 +58,7 @@
 
       if (duplist[url]) {
         callbackError('Recursive include');
+        return null;
       }
 
       new xhr({
@@ -67,14 +69,19 @@
         },
         onSuccess: function(response) {
           duplist[url] = true;
-          return preprocess(url, response, function(replacement) {
-            delete duplist[url];
-            source = source.replace(/#include ".*?"/, replacement);
-            source = source.replace(/\sHAS_EXTENSION\s*\(\s*([A-Za-z_\-0-9]+)\s*\)/g, function (all, ext) {
-              return gl.getExtension(ext) ? ' 1 ': ' 0 ';
-            });
-            return preprocess(url, source, callback, callbackError, duplist);
-          }, callbackError, duplist);
+          //we're in an async callback, so report errors instead of throwing them
+          try {
+            return preprocess(gl, url, response, function(replacement) {
+              delete duplist[url];
+              source = source.replace(/#include ".*?"/, replacement);
+              source = source.replace(/\sHAS_EXTENSION\s*\(\s*([A-Za-z_\-0-9]+)\s*\)/g, function (all, ext) {
+                return gl.getExtension(ext) ? ' 1 ': ' 0 ';
+              });
+              return preprocess(gl, base, source, callback, callbackError, duplist);
+            }, callbackError, duplist);
+          } catch (e) {
+            callbackError(e);
+          }
         }
       }).send();
       return null;
@@ -83,6 +90,40 @@
     }
   };
 
+  //Sets the `#define` directives of a source from a { name: value } object.
+  //Existing directives are replaced, the rest are added after `#version`.
+  var define = function(source, defines) {
+    var lines = [];
+    for (var name in defines) {
+      var directive = '#define ' + name + ' ' + defines[name],
+          re = new RegExp('^[ \\t]*#define[ \\t]+' + name + '\\b.*$', 'm');
+      if (re.test(source)) {
+        source = source.replace(re, directive);
+      } else {
+        lines.push(directive);
+      }
+    }
+    if (!lines.length) {
+      return source;
+    }
+    var version = source.match(/^\s*#version.*(\n|$)/);
+    if (version) {
+      return version[0] + lines.join('\n') + '\n' + source.slice(version[0].length);
+    }
+    return lines.join('\n') + '\n' + source;
+  };
+
+  //Returns the `#define` directives of some sources as a { name: value } object.
+  var getDefines = function() {
+    var defines = {}, re = /^[ \t]*#define[ \t]+(\w+)[ \t]*(.*?)[ \t]*(\/\/.*)?$/mg, match;
+    for (var i = 0; i < arguments.length; i++) {
+      while ((match = re.exec(arguments[i]))) {
+        defines[match[1]] = isNaN(match[2]) || match[2] === ''? match[2] : +match[2];
+      }
+    }
+    return defines;
+  };
+
   //Link a program.
   var linkProgram = function(gl, program) {
     gl.linkProgram(program);
@@ -94,13 +135,38 @@
     return true;
   };
 
-  //Returns a Magic Uniform Setter
-  var getUniformSetter = function(program, info, isArray) {
+  //Stores a copy of a typed array in cache.value and returns
+  //whether its values changed since the last call
+  var changed = function(cache, arr) {
+    var last = cache.value,
+        l = arr.length,
+        i = 0;
+
+    if (last && last.length == l) {
+      while (i < l && last[i] === arr[i]) {
+        i++;
+      }
+      if (i == l) {
+        return false;
+      }
+      last.set(arr);
+    } else {
+      cache.value = new arr.constructor(arr);
+    }
+    return true;
+  };
+
+  //Returns a Magic Uniform Setter. Setting the same value again
+  //is skipped and counted in the application savedCalls.
+  var getUniformSetter = function(gl, program, info, isArray, application) {
     var name = info.name,
+        savedCalls = application.savedCalls,
+        stats = application.stats,
         loc = gl.getUniformLocation(program, name),
         type = info.type,
         matrix = false,
         vector = true,
+        cache = {},
         glFunction, typedArray;
 
     if (info.size > 1 && isArray) {
@@ -170,26 +236,49 @@
     //Set a uniform array
     if (isArray && typedArray) {
       return function(val) {
-        glFunction(loc, new typedArray(val));
+        var arr = new typedArray(val);
+        if (changed(cache, arr)) {
+          glFunction(loc, arr);
+          stats.uniformSets++;
+        } else {
+          savedCalls.uniform++;
+        }
       };
 
     //Set a matrix uniform
     } else if (matrix) {
       return function(val) {
-        glFunction(loc, false, val.toFloat32Array());
+        var arr = val.toFloat32Array();
+        if (changed(cache, arr)) {
+          glFunction(loc, false, arr);
+          stats.uniformSets++;
+        } else {
+          savedCalls.uniform++;
+        }
       };
 
     //Set a vector/typed array uniform
     } else if (typedArray) {
       return function(val) {
         typedArray.set(val.toFloat32Array ? val.toFloat32Array() : val);
-        glFunction(loc, typedArray);
+        if (changed(cache, typedArray)) {
+          glFunction(loc, typedArray);
+          stats.uniformSets++;
+        } else {
+          savedCalls.uniform++;
+        }
       };
 
     //Set a primitive-valued uniform
     } else {
       return function(val) {
-        glFunction(loc, val);
+        if ('value' in cache && cache.value === val) {
+          savedCalls.uniform++;
+        } else {
+          glFunction(loc, val);
+          cache.value = val;
+          stats.uniformSets++;
+        }
       };
     }
 
@@ -198,46 +287,117 @@
 
   };
 
-  //Program Class: Handles loading of programs and mapping of attributes and uniforms
-  var Program = function(vertexShader, fragmentShader) {
-    var program = createProgram(gl, vertexShader, fragmentShader);
-    if (!program) return false;
-
-    var attributes = {},
-        attributeEnabled = {},
-        uniforms = {},
-        info, name, index;
-
-    //fill attribute locations
-    var len = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
-    for (var i = 0; i < len; i++) {
-      info = gl.getActiveAttrib(program, i);
-      name = info.name;
-      index = gl.getAttribLocation(program, info.name);
-      attributes[name] = index;
-    }
-
-    //create uniform setters
-    len = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
-    for (i = 0; i < len; i++) {
-      info = gl.getActiveUniform(program, i);
-      name = info.name;
-      //if array name then clean the array brackets
-      name = name[name.length -1] == ']' ? name.substr(0, name.length -3) : name;
-      uniforms[name] = getUniformSetter(program, info, info.name != name);
-    }
+  //Sorts sampler uniforms so that the numbered 2D samplers (sampler1,
+  //sampler2...) come first, the rest keep the order they were found in.
+  var compareSamplers = function(a, b) {
+    return a.number - b.number || a.index - b.index;
+  };
 
-    this.program = program;
-    //handle attributes and uniforms
-    this.attributes = attributes;
-    this.attributeEnabled = attributeEnabled;
-    this.uniforms = uniforms;
+  //Program Class: Handles loading of programs and mapping of attributes and uniforms
+  //A program belongs to the application it is created for (defaults to the last
+  //created application).
+  var Program = function(vertexShader, fragmentShader, application) {
+    application = application || app;
+
+    this.app = application;
+    this.gl = application.gl;
+    //keep the sources to rebuild the program when the context is restored
+    this.vertexShaderSource = vertexShader;
+    this.fragmentShaderSource = fragmentShader;
+    //the #define directives the program was compiled with
+    this.defines = getDefines(vertexShader, fragmentShader);
+    this.link();
+
+    application.programs.push(this);
   };
 
   Program.prototype = {
 
     $$family: 'program',
 
+    //Compiles and links the program sources and maps attributes and uniforms
+    link: function() {
+      var gl = this.gl,
+          program = createProgram(gl, this.vertexShaderSource, this.fragmentShaderSource),
+          attributes = {},
+          attributeEnabled = {},
+          uniforms = {},
+          textureUnits = {},
+          samplers = [],
+          samplerTypes = [gl.SAMPLER_2D, gl.SAMPLER_CUBE],
+          units = 0,
+          maxUnits = this.app.capabilities.maxTextureUnits,
+          info, name, index;
+
+      //fill attribute locations
+      var len = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
+      for (var i = 0; i < len; i++) {
+        info = gl.getActiveAttrib(program, i);
+        name = info.name;
+        index = gl.getAttribLocation(program, info.name);
+        attributes[name] = index;
+      }
+
+      //create uniform setters
+      len = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+      for (i = 0; i < len; i++) {
+        info = gl.getActiveUniform(program, i);
+        name = info.name;
+        //if array name then clean the array brackets
+        name = name[name.length -1] == ']' ? name.substr(0, name.length -3) : name;
+        uniforms[name] = getUniformSetter(gl, program, info, info.name != name, this.app);
+        if (samplerTypes.indexOf(info.type) > -1) {
+          var number = name.match(/^sampler(\d+)$/);
+          samplers.push({
+            name: name,
+            size: info.size,
+            number: number? +number[1] : Number.MAX_VALUE,
+            index: samplers.length
+          });
+        }
+      }
+
+      //each sampler the program declares gets its own texture units. The
+      //numbered 2D samplers come first, so sampler1, sampler2... keep
+      //using units 0, 1...
+      samplers.sort(compareSamplers).forEach(function(sampler) {
+        textureUnits[sampler.name] = units;
+        units += sampler.size;
+      });
+
+      if (units > maxUnits) {
+        gl.deleteProgram(program);
+        throw new PhiloGL.Error('program', 'The program samples ' + units +
+                                ' textures but only ' + maxUnits + ' texture units are available', {
+          textureUnits: textureUnits
+        });
+      }
+
+      //set the sampler uniforms once, binding the program with a gl call
+      //so the tracked one has to be forgotten
+      if (units) {
+        gl.useProgram(program);
+        this.app.glState.program = undefined;
+        samplers.forEach(function(sampler) {
+          for (var i = 0, value = []; i < sampler.size; i++) {
+            value.push(textureUnits[sampler.name] + i);
+          }
+          uniforms[sampler.name](sampler.size > 1? value : value[0]);
+        });
+      }
+
+      this.program = program;
+      //handle attributes and uniforms
+      this.attributes = attributes;
+      this.attributeEnabled = attributeEnabled;
+      this.uniforms = uniforms;
+      //texture unit of each sampler, by uniform name
+      this.textureUnits = textureUnits;
+      //vertex array objects of the models rendered with this program, by model id
+      this.vertexArrays = {};
+      return this;
+    },
+
     setUniform: function(name, val) {
       if (this.uniforms[name]) {
         this.uniforms[name](val);
@@ -250,6 +410,29 @@
         this.setUniform(name, obj[name]);
       }
       return this;
+    },
+
+    //Deletes the program and removes it from its application
+    destroy: function() {
+      var application = this.app,
+          programs = application.programs,
+          index = programs.indexOf(this);
+
+      this.gl.deleteProgram(this.program);
+      for (var id in this.vertexArrays) {
+        application.deleteVertexArray(this.vertexArrays[id]);
+      }
+      this.vertexArrays = {};
+      if (index > -1) {
+        programs.splice(index, 1);
+      }
+      if (application.usedProgram === this) {
+        application.usedProgram = null;
+      }
+      if (application.glState.program === this.program) {
+        application.glState.program = undefined;
+      }
+      return this;
     }
   };
 
@@ -257,7 +440,7 @@
     Program.prototype[name] = function() {
       var args = Array.prototype.slice.call(arguments);
       args.unshift(this);
-      app[name].apply(app, args);
+      this.app[name].apply(this.app, args);
       return this;
     };
   });
@@ -265,7 +448,7 @@
   ['setFrameBuffer', 'setFrameBuffers', 'setRenderBuffer',
    'setRenderBuffers', 'setTexture', 'setTextures'].forEach(function(name) {
     Program.prototype[name] = function() {
-      app[name].apply(app, arguments);
+      this.app[name].apply(this.app, arguments);
       return this;
     };
   });
@@ -284,39 +467,58 @@
     return $.merge(base || {}, opt);
   }
 
+  //Returns an error handler that calls onError or throws if there's no callback
+  function getErrorHandler(opt) {
+    return function(e) {
+      if (opt.onError) {
+        opt.onError(e, opt);
+      } else {
+        throw e;
+      }
+    };
+  }
+
   //Create a program from vertex and fragment shader node ids
   Program.fromShaderIds = function() {
     var opt = getOptions(arguments),
+      application = opt.app || app,
+      onError = getErrorHandler(opt),
       vs = $(opt.vs),
       fs = $(opt.fs);
-    return preprocess(opt.path, vs.innerHTML, function(vectexShader) {
-      return preprocess(opt.path, fs.innerHTML, function(fragmentShader) {
-        opt.onSuccess(new Program(vectexShader, fragmentShader), opt);
-      });
-    });
+    return preprocess(application.gl, opt.path, vs.innerHTML, function(vectexShader) {
+      return preprocess(application.gl, opt.path, fs.innerHTML, function(fragmentShader) {
+        if (opt.defines) {
+          vectexShader = define(vectexShader, opt.defines);
+          fragmentShader = define(fragmentShader, opt.defines);
+        }
+        opt.onSuccess(new Program(vectexShader, fragmentShader, application), opt);
+      }, onError);
+    }, onError);
   };
 
   //Create a program from vs and fs sources
   Program.fromShaderSources = function() {
-    var opt = getOptions(arguments, {path: './'});
-    return preprocess(opt.path, opt.vs, function(vectexShader) {
-      return preprocess(opt.path, opt.fs, function(fragmentShader) {
+    var opt = getOptions(arguments, {path: './'}),
+        application = opt.app || app,
+        onError = getErrorHandler(opt);
+    return preprocess(application.gl, opt.path, opt.vs, function(vectexShader) {
+      return preprocess(application.gl, opt.path, opt.fs, function(fragmentShader) {
         try {
-          var program = new Program(vectexShader, fragmentShader);
+          if (opt.defines) {
+            vectexShader = define(vectexShader, opt.defines);
+            fragmentShader = define(fragmentShader, opt.defines);
+          }
+          var program = new Program(vectexShader, fragmentShader, application);
           if(opt.onSuccess) {
             opt.onSuccess(program, opt);
           } else {
             return program;
           }
         } catch(e) {
-          if (opt.onError) {
-            opt.onError(e, opt);
-          } else {
-            throw e;
-          }
+          onError(e);
         }
-      });
-    });
+      }, onError);
+    }, onError);
   };
 
   //Build program from default shaders (requires Shaders)
@@ -331,6 +533,7 @@
   };
 
   //Implement Program.fromShaderURIs (requires IO)
+  //Returns a Promise resolved with the program (when Promises are supported).
   Program.fromShaderURIs = function(opt) {
     opt = $.merge({
       path: '',
@@ -343,18 +546,43 @@
 
     var vertexShaderURI = opt.path + opt.vs,
         fragmentShaderURI = opt.path + opt.fs,
+        urls = [vertexShaderURI, fragmentShaderURI],
+        application = opt.app || app,
+        deferred = $.defer(),
+        onSuccess = opt.onSuccess,
+        onError = opt.onError,
+        failed = false,
         XHR = PhiloGL.IO.XHR;
 
+    opt.onSuccess = function(program, opt) {
+      onSuccess(program, opt);
+      deferred.resolve(program);
+    };
+
+    opt.onError = function(e, opt) {
+      onError(e, opt);
+      deferred.reject(PhiloGL.Error.from('program', e, {
+        vs: vertexShaderURI,
+        fs: fragmentShaderURI
+      }));
+    };
+
     new XHR.Group({
-      urls: [vertexShaderURI, fragmentShaderURI],
+      urls: urls,
       noCache: opt.noCache,
-      onError: function(arg) {
-        opt.onError(arg);
+      onError: function(arg, i) {
+        failed = true;
+        opt.onError(new PhiloGL.Error('network', 'Load shader `' + urls[i] + '` failed', {
+          url: urls[i],
+          status: typeof arg == 'number' ? arg : 0
+        }), opt);
       },
       onComplete: function(ans) {
+        //errors have already been reported
+        if (failed) return;
         try {
-          return preprocess(vertexShaderURI, ans[0], function(vectexShader) {
-            return preprocess(fragmentShaderURI, ans[1], function(fragmentShader) {
+          return preprocess(application.gl, vertexShaderURI, ans[0], function(vectexShader) {
+            return preprocess(application.gl, fragmentShaderURI, ans[1], function(fragmentShader) {
               opt.vs = vectexShader;
               opt.fs = fragmentShader;
               return Program.fromShaderSources(opt);
@@ -365,6 +593,8 @@
         }
       }
     }).send();
+
+    return deferred.promise;
   };
 
   PhiloGL.Program = Program;
@@ -4,7 +4,241 @@
 (function() {
   //Define some locals
   var Vec3 = PhiloGL.Vec3,
-      Mat4 = PhiloGL.Mat4;
+      Mat4 = PhiloGL.Mat4,
+      max = Math.max;
+
+  //Returns the application a program (or an object of programs) belongs to
+  function getApp(program) {
+    if (program && program.$$family == 'program') {
+      return program.app;
+    }
+    for (var id in program) {
+      if (program[id] && program[id].app) {
+        return program[id].app;
+      }
+    }
+    return null;
+  }
+
+  //Whether a model has 32 bit indices the context can't draw
+  function needsSplit(app, obj) {
+    return obj.$indices instanceof Uint32Array && !app.capabilities.elementIndexUint;
+  }
+
+  //Splits a model with 32 bit indices into 16 bit chunks
+  function split(app, obj) {
+    var gl = app.gl,
+        drawType = (obj.drawType !== undefined) ? gl.get(obj.drawType) : gl.TRIANGLES,
+        primitiveSize = drawType == gl.TRIANGLES ? 3 : drawType == gl.LINES ? 2 : drawType == gl.POINTS ? 1 : 0;
+
+    if (!primitiveSize) {
+      throw 'OES_element_index_uint is not supported and ' + obj.drawType + ' meshes cannot be split';
+    }
+    return obj.splitIndices(primitiveSize);
+  }
+
+  //Returns the number of triangles drawn by count vertices
+  function countTriangles(gl, drawType, count) {
+    if (drawType == gl.TRIANGLES) {
+      return count / 3;
+    }
+    if (drawType == gl.TRIANGLE_STRIP || drawType == gl.TRIANGLE_FAN) {
+      return max(count - 2, 0);
+    }
+    return 0;
+  }
+
+  //Returns the constant, linear and quadratic attenuation factors of a
+  //point or spot light. Lights have no falloff by default.
+  function getAttenuation(light) {
+    var att = light.attenuation || {};
+    return [
+      'constant' in att? att.constant : 1,
+      att.linear || 0,
+      att.quadratic || 0
+    ];
+  }
+
+  //scratch matrices used while culling and sorting models
+  var objectScratch = new Mat4,
+      viewScratch = new Mat4;
+
+  //Returns the model matrix of an object, composed with the
+  //world matrix of its scene graph node (if any) into dest
+  function getObjectMatrix(obj, dest) {
+    return obj.node ? Mat4.mulMat42(dest || new Mat4, obj.node.worldMatrix, obj.matrix) : obj.matrix;
+  }
+
+  //Returns the normalized planes of the camera frustum in world space
+  //as [a, b, c, d] arrays (left, right, bottom, top, near, far)
+  function getFrustum(camera) {
+    var m = camera.projection.mulMat4(camera.view),
+        planes = [],
+        i, sign, plane, norm;
+
+    for (i = 0; i < 3; i++) {
+      for (sign = 1; sign >= -1; sign -= 2) {
+        plane = [m[3 ] + sign * m[i     ],
+                 m[7 ] + sign * m[i + 4 ],
+                 m[11] + sign * m[i + 8 ],
+                 m[15] + sign * m[i + 12]];
+        norm = Math.sqrt(plane[0] * plane[0] + plane[1] * plane[1] + plane[2] * plane[2]);
+        planes.push([plane[0] / norm, plane[1] / norm, plane[2] / norm, plane[3] / norm]);
+      }
+    }
+    return planes;
+  }
+
+  //Whether the bounding sphere of a model intersects the frustum. Models
+  //whose vertices can't be known here (dynamic, instanced or with a custom
+  //render method) are always considered visible.
+  function inFrustum(planes, obj) {
+    if (!obj.frustumCulling || obj.dynamic || obj.instances || obj.render) {
+      return true;
+    }
+    var bounds = obj.bounds || obj.computeBounds();
+    if (!bounds) {
+      return true;
+    }
+
+    var m = getObjectMatrix(obj, objectScratch),
+        center = m.mulVec3(bounds.center),
+        //scale the radius by the largest axis scale
+        scale = Math.sqrt(Math.max(m[0] * m[0] + m[1] * m[1] + m[2 ] * m[2 ],
+                                   m[4] * m[4] + m[5] * m[5] + m[6 ] * m[6 ],
+                                   m[8] * m[8] + m[9] * m[9] + m[10] * m[10])),
+        radius = bounds.radius * scale;
+
+    for (var i = 0; i < 6; i++) {
+      var p = planes[i];
+      if (p[0] * center[0] + p[1] * center[1] + p[2] * center[2] + p[3] < -radius) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  //Returns the distance from the camera to the center of the model
+  //along the view direction
+  function getViewDepth(view, obj) {
+    var bounds = obj.bounds || obj.computeBounds(),
+        m = Mat4.mulMat42(viewScratch, view, getObjectMatrix(obj, objectScratch)),
+        c = bounds ? bounds.center : [0, 0, 0];
+
+    return -(m[2] * c[0] + m[6] * c[1] + m[10] * c[2] + m[14]);
+  }
+
+  //Returns the render state of a model. Transparent models are blended
+  //unless rendered with a renderProgram (i.e. picking).
+  function getRenderState(obj, opt) {
+    var state = obj.state;
+    if (obj.transparent) {
+      state = $.extend({
+        blend: obj.blend,
+        depthWrite: obj.depthWrite
+      }, state);
+    }
+    if (opt && opt.renderProgram && state.blend) {
+      state = $.extend({}, state);
+      delete state.blend;
+    }
+    return state;
+  }
+
+  //Sets the render state of a model. Previous values of the keys set for the
+  //first time are stored in baseState and the keys set by previous models
+  //but not by this one are restored from it.
+  function setModelState(app, obj, opt, baseState) {
+    var state = getRenderState(obj, opt),
+        target = {},
+        key, previous;
+
+    for (key in baseState) {
+      if (!(key in state)) {
+        target[key] = baseState[key];
+      }
+    }
+    previous = app.setRenderState($.extend(target, state));
+    for (key in previous) {
+      if (!(key in baseState)) {
+        baseState[key] = previous[key];
+      }
+    }
+  }
+
+  //Orders models for rendering: opaque models first, followed by transparent
+  //models back to front so they blend correctly. When sorting, opaque models
+  //are grouped by program and textures and then ordered front to back,
+  //otherwise they keep the order they were added in.
+  function sortModels(models, camera, sort) {
+    var opaque = [],
+        transparent = [],
+        view = camera && camera.view;
+
+    models.forEach(function(obj) {
+      var entry = {
+        model: obj,
+        program: obj.program || '',
+        textures: obj.textures ? obj.textures.join() : '',
+        depth: view && (sort || obj.transparent) ? getViewDepth(view, obj) : 0
+      };
+      (obj.transparent ? transparent : opaque).push(entry);
+    });
+
+    if (sort) {
+      opaque.sort(function(a, b) {
+        if (a.program != b.program) return a.program < b.program ? -1 : 1;
+        if (a.textures != b.textures) return a.textures < b.textures ? -1 : 1;
+        return a.depth - b.depth;
+      });
+    }
+    transparent.sort(function(a, b) {
+      return b.depth - a.depth;
+    });
+
+    return opaque.concat(transparent).map(function(entry) {
+      return entry.model;
+    });
+  }
+
+  //Default options of the light shadows
+  var shadowDefaults = {
+    //size of the shadow map
+    size: 1024,
+    //depth offset that avoids self shadowing
+    bias: 0.005,
+    //whether to soften the shadow edges with percentage-closer filtering
+    pcf: true,
+    near: 0.1,
+    far: 100,
+    //half the side of the area covered by the directional light
+    //shadow map and its center
+    area: 10,
+    center: {
+      x: 0,
+      y: 0,
+      z: 0
+    }
+  };
+
+  //Directions and up vectors of the cube map faces (+x, -x, +y, -y, +z, -z)
+  var cubeFaces = [
+    [[ 1,  0,  0], [0, -1,  0]],
+    [[-1,  0,  0], [0, -1,  0]],
+    [[ 0,  1,  0], [0,  0,  1]],
+    [[ 0, -1,  0], [0,  0, -1]],
+    [[ 0,  0,  1], [0, -1,  0]],
+    [[ 0,  0, -1], [0, -1,  0]]
+  ];
+
+  //Maps [-1, 1] clip coordinates to [0, 1] texture coordinates
+  var shadowBias = new Mat4().$translate(0.5, 0.5, 0.5).$scale(0.5, 0.5, 0.5);
+
+  //Returns the shadow options of a light, or null if it doesn't cast shadows
+  function getShadowOptions(light) {
+    var shadows = light && light.shadows;
+    return shadows? $.merge(shadowDefaults, shadows === true? {} : shadows) : null;
+  }
 
   //Scene class
   var Scene = function(program, camera, opt) {
@@ -32,24 +266,49 @@
         }
         //point light
         //points: []
+        //spot light
+        //spots: []
       },
       effects: {
         fog: false
         // { near, far, color }
-      }
+      },
+      //cube map for image based lighting
+      environment: false,
+      // { texture, intensity, levels }
+      //skip models outside the camera frustum. Off by default since models
+      //displaced in their shaders would be culled.
+      frustumCulling: false,
+      //sort opaque models by program, textures and depth. Transparent
+      //models are always rendered last, back to front
+      sort: false
     }, opt || {});
 
     this.program = opt.program ? program[opt.program] : program;
+    this.app = opt.app || getApp(program) || app;
     this.camera = camera;
     this.models = [];
+    //root nodes of the scene graph
+    this.nodes = [];
     this.config = opt;
+    //models drawn and culled in the last render
+    this.stats = {
+      drawn: 0,
+      culled: 0
+    };
   };
 
   Scene.prototype = {
 
+    //Adds models or scene graph nodes
     add: function() {
       for (var i = 0, models = this.models, l = arguments.length; i < l; i++) {
         var model = arguments[i];
+        if (model.$$family == 'node') {
+          this.nodes.push(model);
+          this.defineNode(model);
+          continue;
+        }
         //Generate unique id for model
         model.id = model.id || $.uid();
         models.push(model);
@@ -59,12 +318,64 @@
     },
 
     remove: function(model) {
-      var models = this.models,
-          indexOf = models.indexOf(model);
+      var list = model.$$family == 'node' ? this.nodes : this.models,
+          indexOf = list.indexOf(model);
 
       if (indexOf > -1) {
-        models.splice(indexOf, 1);
+        list.splice(indexOf, 1);
+        if (model.$$family == 'node') {
+          model.traverse(function(node) {
+            node.scene = null;
+          });
+        }
+      }
+    },
+
+    //Removes the models or nodes from the scene and deletes the buffers
+    //of their models. If nothing is passed everything in the scene is disposed.
+    dispose: function() {
+      var elems = arguments.length ? Array.prototype.slice.call(arguments) : this.models.concat(this.nodes);
+      for (var i = 0, l = elems.length; i < l; i++) {
+        var elem = elems[i],
+            models = elem.$$family == 'node' ? elem.getModels() : [elem];
+        this.remove(elem);
+        for (var j = 0, n = models.length; j < n; j++) {
+          models[j].dispose(this.app);
+        }
+      }
+    },
+
+    //Sets the scene of a node and its descendants and defines
+    //the buffers of their models
+    defineNode: function(node) {
+      var that = this;
+      node.traverse(function(n) {
+        n.scene = that;
+        n.models.forEach(function(model) {
+          model.id = model.id || $.uid();
+          that.defineBuffers(model);
+        });
+      });
+    },
+
+    //Returns the models to render: the models added to the scene followed by
+    //the models of the displayed scene graph nodes. Node world matrices are updated.
+    getModels: function() {
+      var models = this.models.slice();
+
+      function collect(node) {
+        if (!node.display) return;
+        models.push.apply(models, node.models);
+        for (var i = 0, ch = node.children, l = ch.length; i < l; i++) {
+          collect(ch[i]);
+        }
+      }
+
+      for (var i = 0, nodes = this.nodes, l = nodes.length; i < l; i++) {
+        nodes[i].transform();
+        collect(nodes[i]);
       }
+      return models;
     },
 
     getProgram: function(obj) {
@@ -81,6 +392,16 @@
       var program = this.getProgram(obj),
           prevDynamic = obj.dynamic;
 
+      //buffers might be created, capture the vertex arrays again
+      obj.deleteVertexArrays(this.app);
+
+      //define the buffers of the 16 bit chunks instead
+      if (needsSplit(this.app, obj)) {
+        obj.$chunks = split(this.app, obj);
+        obj.$chunks.forEach(this.defineBuffers, this);
+        return;
+      }
+
       obj.dynamic = true;
       obj.setState(program);
       obj.dynamic = prevDynamic;
@@ -91,12 +412,13 @@
       //Setup lighting and scene effects like fog, etc.
       this.setupLighting(program);
       this.setupEffects(program);
+      this.setupEnvironment(program);
       if (this.camera) {
         this.camera.setStatus(program);
       }
     },
 
-    //Setup the lighting system: ambient, directional, point lights.
+    //Setup the lighting system: ambient, directional, point and spot lights.
     setupLighting: function(program) {
       //Setup Lighting
       var abs = Math.abs,
@@ -113,11 +435,29 @@
           pointLocations = [],
           pointColors = [],
           enableSpecular = [],
-          pointSpecularColors = [];
+          pointSpecularColors = [],
+          pointAttenuations = [],
+          spots = light.spots && $.splat(light.spots) || [],
+          numberSpots = spots.length,
+          spotLocations = [],
+          spotDirections = [],
+          spotColors = [],
+          spotAttenuations = [],
+          spotCutoffs = [],
+          spotExponents = [],
+          spotEnableSpecular = [],
+          spotSpecularColors = [];
 
       //Normalize lighting direction vector
       dir = new Vec3(dir.x, dir.y, dir.z).$unit().$scale(-1);
 
+      //Lights past the LIGHT_MAX the program was compiled with would be ignored
+      var lightMax = program.defines && program.defines.LIGHT_MAX;
+      if (enable && lightMax !== undefined && max(numberPoints, numberSpots) > lightMax) {
+        throw 'The scene has ' + max(numberPoints, numberSpots) + ' point or spot lights but the program ' +
+          'was compiled for ' + lightMax + '. Set the lights.max option of the scene or the LIGHT_MAX define of the program.';
+      }
+
       //Set light uniforms. Ambient and directional lights.
       program.setUniform('enableLights', enable);
 
@@ -137,6 +477,7 @@
 
         pointLocations.push(position.x, position.y, position.z);
         pointColors.push(color.r, color.g, color.b);
+        pointAttenuations.push.apply(pointAttenuations, getAttenuation(point));
 
         //Add specular color
         enableSpecular.push(+!!spec);
@@ -150,7 +491,8 @@
       if (pointLocations.length) {
         program.setUniforms({
           'pointLocation': pointLocations,
-          'pointColor': pointColors
+          'pointColor': pointColors,
+          'pointAttenuation': pointAttenuations
         });
         program.setUniforms({
           'enableSpecular': enableSpecular,
@@ -158,6 +500,298 @@
         });
       }
 
+      //Set spot lights
+      program.setUniform('numberSpots', numberSpots);
+      for (i = 0, l = numberSpots; i < l; i++) {
+        var spot = spots[i],
+            spotPosition = spot.position,
+            spotColor = spot.color || spot.diffuse,
+            spotSpec = spot.specular,
+            spotDir = new Vec3(spot.direction.x, spot.direction.y, spot.direction.z).$unit(),
+            cutoff = 'cutoff' in spot? spot.cutoff : 45;
+
+        spotLocations.push(spotPosition.x, spotPosition.y, spotPosition.z);
+        spotDirections.push(spotDir.x, spotDir.y, spotDir.z);
+        spotColors.push(spotColor.r, spotColor.g, spotColor.b);
+        spotAttenuations.push.apply(spotAttenuations, getAttenuation(spot));
+        //the shaders compare the cosine of the angle to the spot direction
+        spotCutoffs.push(Math.cos(cutoff * Math.PI / 180));
+        spotExponents.push(spot.exponent || 0);
+
+        //Add specular color
+        spotEnableSpecular.push(+!!spotSpec);
+        if (spotSpec) {
+          spotSpecularColors.push(spotSpec.r, spotSpec.g, spotSpec.b);
+        } else {
+          spotSpecularColors.push(0, 0, 0);
+        }
+      }
+
+      if (spotLocations.length) {
+        program.setUniforms({
+          'spotLocation': spotLocations,
+          'spotDirection': spotDirections,
+          'spotColor': spotColors,
+          'spotAttenuation': spotAttenuations,
+          'spotCutoff': spotCutoffs,
+          'spotExponent': spotExponents
+        });
+        program.setUniforms({
+          'spotEnableSpecular': spotEnableSpecular,
+          'spotSpecularColor': spotSpecularColors
+        });
+      }
+
+      //Set the shadow maps rendered by renderShadows
+      if (program != this.depthProgram) {
+        this.setupShadows(program);
+      }
+
+    },
+
+    //Binds the shadow maps to the texture units of their samplers (see
+    //Program.textureUnits) and sets their uniforms.
+    setupShadows: function(program) {
+      var app = this.app,
+          gl = app.gl,
+          shadows = this.shadows || {},
+          directional = shadows.directional,
+          point = shadows.point,
+          textureUnits = program.textureUnits;
+
+      program.setUniforms({
+        'hasShadowMap': !!directional,
+        'hasPointShadowMap': !!point,
+        'pointShadowIndex': point? point.index : -1
+      });
+
+      if (directional && 'shadowMap' in textureUnits) {
+        app.setTexture('$shadow-texture', gl.TEXTURE0 + textureUnits.shadowMap);
+        program.setUniforms({
+          'shadowMatrix': directional.matrix,
+          'shadowMapSize': directional.size,
+          'shadowBias': directional.bias,
+          'shadowPCF': directional.pcf
+        });
+      }
+
+      if (point && 'pointShadowMap' in textureUnits) {
+        app.setTexture('$shadow-point-texture', gl.TEXTURE0 + textureUnits.pointShadowMap);
+        program.setUniforms({
+          'pointShadowPosition': point.position,
+          'pointShadowFar': point.far,
+          'pointShadowBias': point.bias,
+          'pointShadowPCF': point.pcf
+        });
+      }
+    },
+
+    //Renders the depth of the models seen from the lights with a `shadows`
+    //option into shadow maps: the directional light and the first point light
+    //with shadows. Called by render.
+    renderShadows: function() {
+      var app = this.app,
+          gl = app.gl,
+          lights = this.config.lights,
+          directional = getShadowOptions(lights.directional),
+          points = lights.points && $.splat(lights.points) || [],
+          point = null,
+          i, l;
+
+      this.shadows = {};
+
+      for (i = 0, l = points.length; i < l; i++) {
+        if (points[i].shadows) {
+          point = getShadowOptions(points[i]);
+          point.index = i;
+          point.position = points[i].position;
+          break;
+        }
+      }
+
+      if (!lights.enable || !directional && !point) return;
+
+      if (!this.depthProgram) {
+        this.depthProgram = PhiloGL.Program.fromDefaultShaders({
+          app: app,
+          vs: 'Depth',
+          fs: 'Depth'
+        });
+      }
+
+      var camera = this.camera,
+          program = app.usedProgram,
+          depthProgram = this.depthProgram,
+          viewState = app.getViewState(),
+          viewport = viewState.viewport,
+          clearColor = viewState.clearColor,
+          previousState = app.setRenderState({
+            blend: false,
+            depthTest: true,
+            depthWrite: true,
+            colorMask: [true, true, true, true]
+          });
+
+      //the farthest depth packs to white
+      gl.clearColor(1, 1, 1, 1);
+      depthProgram.use();
+
+      if (directional) {
+        this.renderDirectionalShadow(directional);
+      }
+      if (point) {
+        this.renderPointShadow(point);
+      }
+
+      //restore the camera, framebuffer, viewport, clear color and state
+      this.camera = camera;
+      gl.bindFramebuffer(gl.FRAMEBUFFER, viewState.frameBuffer);
+      gl.viewport(viewport[0], viewport[1], viewport[2], viewport[3]);
+      gl.clearColor(clearColor[0], clearColor[1], clearColor[2], clearColor[3]);
+      app.setRenderState(previousState);
+      if (program) program.use();
+    },
+
+    renderDirectionalShadow: function(opt) {
+      var app = this.app,
+          gl = app.gl,
+          size = opt.size,
+          area = opt.area,
+          light = this.config.lights.directional,
+          d = light.direction,
+          c = opt.center,
+          dir = new Vec3(d.x, d.y, d.z).$unit(),
+          center = new Vec3(c.x, c.y, c.z),
+          //look along the light direction from half the depth range away
+          position = center.sub(dir.scale(opt.far / 2)),
+          up = Math.abs(dir.y) > 0.99? new Vec3(0, 0, 1) : new Vec3(0, 1, 0),
+          camera = this.directionalShadowCamera || new PhiloGL.Camera(90, 1, opt.near, opt.far),
+          memo = app.frameBufferMemo.$shadow;
+
+      //create the shadow map or resize it
+      if (!memo || memo.width != size) {
+        app.deleteFrameBuffer('$shadow');
+        app.setFrameBuffer('$shadow', {
+          width: size,
+          height: size,
+          bindToTexture: {
+            parameters: [{
+              name: 'TEXTURE_MAG_FILTER',
+              value: 'NEAREST'
+            }, {
+              name: 'TEXTURE_MIN_FILTER',
+              value: 'NEAREST'
+            }, {
+              name: 'TEXTURE_WRAP_S',
+              value: 'CLAMP_TO_EDGE'
+            }, {
+              name: 'TEXTURE_WRAP_T',
+              value: 'CLAMP_TO_EDGE'
+            }]
+          },
+          bindToRenderBuffer: true
+        });
+      }
+
+      //orthographic camera covering the shadow area
+      this.directionalShadowCamera = camera;
+      camera.position = position;
+      camera.target = center;
+      camera.up = up;
+      camera.view.lookAt(position, center, up);
+      camera.projection = new Mat4().ortho(-area, area, area, -area, opt.near, opt.far);
+      this.camera = camera;
+
+      app.setFrameBuffer('$shadow', true);
+      gl.viewport(0, 0, size, size);
+      gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+      this.depthProgram.setUniform('shadowPoint', false);
+      this.render({
+        renderProgram: this.depthProgram,
+        shadowPass: true
+      });
+
+      opt.matrix = shadowBias.mulMat4(camera.projection).mulMat4(camera.view);
+      this.shadows.directional = opt;
+    },
+
+    renderPointShadow: function(opt) {
+      var app = this.app,
+          gl = app.gl,
+          size = opt.size,
+          pos = opt.position,
+          position = new Vec3(pos.x, pos.y, pos.z),
+          camera = this.pointShadowCamera || new PhiloGL.Camera(90, 1, opt.near, opt.far),
+          texName = '$shadow-point-texture',
+          memo = app.textureMemo[texName],
+          face, i;
+
+      //create the shadow cube map or resize it
+      if (!memo || memo.data.width != size) {
+        app.deleteFrameBuffer('$shadow-point');
+        app.deleteTexture(texName);
+        app.setTexture(texName, {
+          textureType: gl.TEXTURE_CUBE_MAP,
+          textureTarget: [gl.TEXTURE_CUBE_MAP_POSITIVE_X, gl.TEXTURE_CUBE_MAP_NEGATIVE_X,
+                          gl.TEXTURE_CUBE_MAP_POSITIVE_Y, gl.TEXTURE_CUBE_MAP_NEGATIVE_Y,
+                          gl.TEXTURE_CUBE_MAP_POSITIVE_Z, gl.TEXTURE_CUBE_MAP_NEGATIVE_Z],
+          pixelStore: [],
+          parameters: [{
+            name: 'TEXTURE_MAG_FILTER',
+            value: 'NEAREST'
+          }, {
+            name: 'TEXTURE_MIN_FILTER',
+            value: 'NEAREST'
+          }, {
+            name: 'TEXTURE_WRAP_S',
+            value: 'CLAMP_TO_EDGE'
+          }, {
+            name: 'TEXTURE_WRAP_T',
+            value: 'CLAMP_TO_EDGE'
+          }],
+          data: {
+            width: size,
+            height: size
+          }
+        });
+        app.setFrameBuffer('$shadow-point', {
+          width: size,
+          height: size,
+          bindToRenderBuffer: true
+        });
+      }
+
+      //perspective camera looking at each face of the cube
+      this.pointShadowCamera = camera;
+      camera.near = opt.near;
+      camera.far = opt.far;
+      camera.position = position;
+      this.camera = camera;
+
+      this.depthProgram.setUniforms({
+        'shadowPoint': true,
+        'pointShadowPosition': [pos.x, pos.y, pos.z],
+        'pointShadowFar': opt.far
+      });
+
+      for (i = 0; i < 6; i++) {
+        face = cubeFaces[i];
+        camera.target = position.add(new Vec3(face[0][0], face[0][1], face[0][2]));
+        camera.up = new Vec3(face[1][0], face[1][1], face[1][2]);
+        camera.update();
+
+        app.setFrameBuffer('$shadow-point', true);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_CUBE_MAP_POSITIVE_X + i, app.textures[texName], 0);
+        gl.viewport(0, 0, size, size);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        this.render({
+          renderProgram: this.depthProgram,
+          shadowPass: true
+        });
+      }
+
+      opt.position = [pos.x, pos.y, pos.z];
+      this.shadows.point = opt;
     },
 
     //Setup effects like fog, etc.
@@ -178,6 +812,29 @@
       }
     },
 
+    //Binds the environment cube map used for image based lighting to the
+    //texture unit of its sampler.
+    setupEnvironment: function(program) {
+      var app = this.app,
+          gl = app.gl,
+          environment = this.config.environment,
+          unit = program.textureUnits.environmentMap,
+          texture = environment && environment.texture;
+
+      if (unit === undefined) return;
+
+      if (texture && texture in app.textures) {
+        app.setTexture(texture, gl.TEXTURE0 + unit);
+        program.setUniforms({
+          'hasEnvironment': true,
+          'environmentIntensity': 'intensity' in environment? environment.intensity : 1,
+          'environmentLevels': environment.levels || 8
+        });
+      } else {
+        program.setUniform('hasEnvironment', false);
+      }
+    },
+
     //Renders all objects in the scene.
     render: function(opt) {
       opt = opt || {};
@@ -189,80 +846,157 @@
           options = $.extend({
             onBeforeRender: $.empty,
             onAfterRender: $.empty
-          }, opt || {});
+          }, opt || {}),
+          frustum = this.config.frustumCulling && camera && getFrustum(camera),
+          stats = this.stats,
+          appStats = this.app.stats,
+          visible = [],
+          models, elem, i, l;
+
+      //render state to restore after rendering
+      options.baseState = {};
+
+      if (!renderProgram) {
+        //the GL state may have been changed with gl calls since the last
+        //frame, so don't trust the cached one
+        this.app.resetRenderState();
+        this.app.resetGLState();
+        //Render the shadow maps of the lights first.
+        this.renderShadows();
+      }
+
+      stats.drawn = stats.culled = 0;
 
       //If we're just using one program then
       //execute the beforeRender method once.
       !multiplePrograms && this.beforeRender(renderProgram || program);
 
-      //Go through each model and render it.
-      for (var i = 0, models = this.models, l = models.length; i < l; ++i) {
-        var elem = models[i];
-        if (elem.display) {
-          var program = renderProgram || this.getProgram(elem);
-          //Setup the beforeRender method for each object
-          //when there are multiple programs to be used.
-          multiplePrograms && this.beforeRender(program);
-          elem.onBeforeRender(program, camera);
-          options.onBeforeRender(elem, i);
-          this.renderObject(elem, program);
-          options.onAfterRender(elem, i);
-          elem.onAfterRender(program, camera);
+      //Collect the visible models and sort them. Shadow passes
+      //only render the models that cast shadows.
+      for (i = 0, models = this.getModels(), l = models.length; i < l; ++i) {
+        elem = models[i];
+        if (elem.display && (!opt.shadowPass || elem.castShadows)) {
+          if (frustum && !inFrustum(frustum, elem)) {
+            stats.culled++;
+            appStats.culled++;
+            continue;
+          }
+          visible.push(elem);
         }
       }
+      models = sortModels(visible, camera, this.config.sort);
+
+      //Go through each model and render it.
+      for (i = 0, l = models.length; i < l; ++i) {
+        elem = models[i];
+        stats.drawn++;
+        appStats.models++;
+        var program = renderProgram || this.getProgram(elem);
+        //Setup the beforeRender method for each object
+        //when there are multiple programs to be used.
+        multiplePrograms && this.beforeRender(program);
+        elem.onBeforeRender(program, camera);
+        options.onBeforeRender(elem, i);
+        this.renderObject(elem, program, options);
+        options.onAfterRender(elem, i);
+        elem.onAfterRender(program, camera);
+      }
+
+      this.app.setRenderState(options.baseState);
     },
 
     renderToTexture: function(name, opt) {
       opt = opt || {};
-      var texture = app.textures[name + '-texture'],
+      var app = this.app,
+          gl = app.gl,
+          texture = app.textures[name + '-texture'],
           texMemo = app.textureMemo[name + '-texture'];
 
       this.render(opt);
 
-      gl.bindTexture(texMemo.textureType, texture);
+      app.bindTexture(texMemo.textureType, texture);
       //gl.generateMipmap(texMemo.textureType);
       //gl.bindTexture(texMemo.textureType, null);
     },
 
-    renderObject: function(obj, program) {
-      var camera = this.camera,
+    renderObject: function(obj, program, opt) {
+      var app = this.app,
+          gl = app.gl,
+          camera = this.camera,
           view = camera.view,
           projection = camera.projection,
-          object = obj.matrix,
+          //models attached to a scene graph node are transformed by the node
+          object = getObjectMatrix(obj),
           world = view.mulMat4(object),
           worldInverse = world.invert(),
-          worldInverseTranspose = worldInverse.transpose();
+          worldInverseTranspose = worldInverse.transpose(),
+          parts = [obj],
+          //when rendering the scene the state is restored after all models
+          baseState = opt && opt.baseState || {};
 
-      obj.setState(program);
+      setModelState(app, obj, opt, baseState);
 
-      //Now set view and normal matrices
-      program.setUniforms({
-        objectMatrix: object,
-        worldMatrix: world,
-        worldInverseMatrix: worldInverse,
-        worldInverseTransposeMatrix: worldInverseTranspose
-//        worldViewProjection:  view.mulMat4(object).$mulMat4(view.mulMat4(projection))
-      });
+      //models with 32 bit indices are drawn in 16 bit chunks if
+      //needed. Chunks of dynamic models are created every time.
+      if (!obj.render && needsSplit(app, obj)) {
+        if (!obj.$chunks || obj.dynamic) {
+          obj.$chunks = split(app, obj);
+        }
+        parts = obj.$chunks;
+      }
 
-      //Draw
-      //TODO(nico): move this into O3D, but, somehow, abstract the gl.draw* methods inside that object.
-      if (obj.render) {
-        obj.render(gl, program, camera);
-      } else {
-        if (obj.$indicesLength) {
-          gl.drawElements((obj.drawType !== undefined) ? gl.get(obj.drawType) : gl.TRIANGLES, obj.$indicesLength, gl.UNSIGNED_SHORT, 0);
+      for (var i = 0, l = parts.length; i < l; i++) {
+        var part = parts[i];
+
+        part.setState(program);
+
+        //Now set view and normal matrices
+        program.setUniforms({
+          objectMatrix: object,
+          worldMatrix: world,
+          worldInverseMatrix: worldInverse,
+          worldInverseTransposeMatrix: worldInverseTranspose
+//          worldViewProjection:  view.mulMat4(object).$mulMat4(view.mulMat4(projection))
+        });
+
+        //Draw
+        //TODO(nico): move this into O3D, but, somehow, abstract the gl.draw* methods inside that object.
+        if (part.render) {
+          part.render(gl, program, camera);
         } else {
-          gl.drawArrays((obj.drawType !== undefined) ? gl.get(obj.drawType) : gl.TRIANGLES, 0, obj.$verticesLength / 3);
+          var drawType = (part.drawType !== undefined) ? gl.get(part.drawType) : gl.TRIANGLES,
+              indexType = part.$indices instanceof Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT,
+              count = part.$indicesLength || part.$verticesLength / 3;
+          app.stats.drawCalls++;
+          app.stats.triangles += countTriangles(gl, drawType, count) * (part.instances || 1);
+          if (part.instances) {
+            if (part.$indicesLength) {
+              app.drawElementsInstanced(drawType, part.$indicesLength, indexType, 0, part.instances);
+            } else {
+              app.drawArraysInstanced(drawType, 0, part.$verticesLength / 3, part.instances);
+            }
+          } else if (part.$indicesLength) {
+            gl.drawElements(drawType, part.$indicesLength, indexType, 0);
+          } else {
+            gl.drawArrays(drawType, 0, part.$verticesLength / 3);
+          }
         }
+
+        part.unsetState(program);
       }
 
-      obj.unsetState(program);
+      if (!opt || !opt.baseState) {
+        app.setRenderState(baseState);
+      }
     },
 
     //setup picking framebuffer
     setupPicking: function(opt) {
       //create picking program
-      var program = PhiloGL.Program.fromDefaultShaders(),
+      var app = this.app,
+          program = PhiloGL.Program.fromDefaultShaders({
+            app: app
+          }),
           floor = Math.floor;
       //create framebuffer
       app.setFrameBuffer('$picking', {
@@ -297,7 +1031,9 @@
         this.setupPicking(opt);
       }
 
-      var o3dHash = {},
+      var app = this.app,
+          gl = app.gl,
+          o3dHash = {},
           o3dList = [],
           program = app.usedProgram,
           pickingProgram = this.pickingProgram,
@@ -332,12 +1068,14 @@
       config.effects.fog = false;
 
       //enable picking and render to texture
+      app.resetRenderState();
+      app.resetGLState();
       app.setFrameBuffer('$picking', true);
       pickingProgram.use();
       pickingProgram.setUniform('enablePicking', true);
 
       //render the scene to a texture
-      gl.disable(gl.BLEND);
+      app.setRenderState({ blend: false });
       gl.viewport(0, 0, resWidth, resHeight);
       gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
       //read the background color so we don't step on it
@@ -384,11 +1122,11 @@
 
       //restore previous program
       if (program) program.use();
-      //restore the viewport size to original size
+      //restore the viewport size to original (drawing buffer) size
       gl.viewport(viewport.x || 0,
     		          viewport.y || 0,
-    		          width,
-    		          height);
+    		          viewport.width || canvas.width,
+    		          viewport.height || canvas.height);
       //restore camera properties
       camera.target = oldtarget;
       camera.aspect = oldaspect;
@@ -450,6 +1188,8 @@
   };
 
   Scene.MAX_TEXTURES = 10;
+  //deprecated, the default LIGHT_MAX of the shaders. Use the lights.max
+  //option instead
   Scene.MAX_POINT_LIGHTS = 4;
   Scene.PICKING_RES = 4;
 
@@ -1,135 +1,158 @@
-//graph.js
-//provide some basic scene graph capabilities
+//scenegraph.js
+//Hierarchical scene graph. Each node has a local transform (position,
+//rotation, scale) that is composed with the world matrix of its parent.
+
 (function() {
+  //Define some locals
+  var Vec3 = PhiloGL.Vec3,
+      Mat4 = PhiloGL.Mat4;
+
+  //Node class
   function Node(opt) {
     opt = opt || {};
-    
-    //a model is associated with the node?
-    if (opt.model) {
-      if (model.$$family == 'model') {
-        this.model = opt.model;
-      } else {
-        this.model = new PhiloGL.O3D.Model(opt.model);
-      }
-    }
-    
-    //only a range of components of the model
-    //are related to this node?
-    //range: {from, to}
-    if (opt.range) {
-      this.range = opt.range;
-    }
+    this.id = opt.id || $.uid();
+    //whether to display the node and its children
+    this.display = 'display' in opt? opt.display : true;
 
-    //only a set of indices from the model are 
-    //related to this node?
-    if (opt.indices) {
-      this.indices = opt.indices;
-    }
-
-    //and check for any children
+    this.parent = null;
+    //the scene the node was added to
+    this.scene = null;
     this.children = [];
-    if (opt.children) {
-      this.add.apply(this, opt.children);
-    }
-    
-    //model position, rotation, scale and all in all matrix
-    this.position = new Vec3();
-    this.rotation = new Vec3();
+    this.models = [];
+
+    //node position, rotation, scale and local matrix
+    this.position = new Vec3;
+    this.rotation = new Vec3;
     this.scale = new Vec3(1, 1, 1);
-    
-    //`end` is the absolute position
-    this.endPosition = new Vec3();
-    this.endRotation = new Vec3();
-    this.endScale = new Vec3(1, 1, 1);
+    this.matrix = new Mat4;
+    //local matrix composed with the parent world matrix
+    this.worldMatrix = new Mat4;
 
-    this.matrix = new Mat4();
+    if (opt.models) {
+      this.attach.apply(this, $.splat(opt.models));
+    }
+    if (opt.children) {
+      this.add.apply(this, $.splat(opt.children));
+    }
   }
 
-  Node.prototype = Object.create(null, {
-    
-    $$family: {
-      value: 'node'
-    },
-    
-    add: {
-      value: function() {
-        var ch = this.children;
-        for (var i = 0, l = arguments.length; i < l; ++i) {
-          var elem = arguments[i];
-          if (elem.$$family == 'node') {
-            elem.parent = this;
-            ch.push(elem);
-          } else {
-            var node = new Node(elem);
-            node.parent = this;
-            ch.push(node);
-          }
+  Node.prototype = {
+    $$family: 'node',
+
+    //Adds child nodes. Plain objects are used as Node options.
+    add: function() {
+      for (var i = 0, l = arguments.length; i < l; ++i) {
+        var node = arguments[i];
+        if (node.$$family != 'node') {
+          node = new Node(node);
+        }
+        if (node.parent) {
+          node.parent.remove(node);
+        }
+        node.parent = this;
+        this.children.push(node);
+        if (this.scene) {
+          this.scene.defineNode(node);
         }
       }
+      return this;
     },
-    
-    //will update everything
-    update: {
-      value: function() {
-        var matrix = this.matrix,
-            pos = this.endPosition,
-            rot = this.endRotation,
-            scale = this.endScale;
-
-        matrix.id();
-        matrix.$translate(pos.x, pos.y, pos.z);
-        matrix.$rotateXYZ(rot.x, rot.y, rot.z);
-        matrix.$scale(scale.x, scale.y, scale.z);
-
-        if (this.model) {
-          var model = this.model,
-              vertices = model.vertices,
-              normals = model.normals;
-
-          if (this.range) {
-            var range = this.range,
-                from = range.from,
-                to = range.to,
-                vfrom = from * 3,
-                vto = to * 3,
-                vertices = 
-                v = new Float32Array(3);
-
-            for (var i = vfrom; i < vto; i += 3) {
-              v[0] = vertices[i    ];
-              v[1] = vertices[i + 1];
-              v[2] = vertices[i + 2];
-            }
-
-
-          } else if (this.indices) {
-          
-          } else {
-          
-          }
-        }
+
+    remove: function(node) {
+      var children = this.children,
+          indexOf = children.indexOf(node);
+
+      if (indexOf > -1) {
+        children.splice(indexOf, 1);
+        node.parent = null;
+        node.traverse(function(n) {
+          n.scene = null;
+        });
       }
+      return this;
     },
 
-    transform: {
-      value: function() {
-        
-        if (!this.parent) {
-          this.endPosition.setVec3(this.position);
-          this.endRotation.setVec3(this.rotation);
-          this.endScale.setVec3(this.scale);
-        } else {
-          var parent = this.parent;
-          this.endPosition.setVec3(this.position.add(parent.endPosition));
-          this.endRotation.setVec3(this.rotation.add(parent.endRotation));
-          this.endScale.setVec3(this.scale.add(parent.endScale));
+    //Attaches models to the node. Models are transformed by the node world matrix.
+    attach: function() {
+      for (var i = 0, l = arguments.length; i < l; ++i) {
+        var model = arguments[i];
+        if (model.node) {
+          model.node.detach(model);
         }
-        
-        for (var i = 0, ch = this.children, l = ch.length; i < l; ++i) {
-          ch[i].transform();
+        model.node = this;
+        this.models.push(model);
+        if (this.scene) {
+          model.id = model.id || $.uid();
+          this.scene.defineBuffers(model);
         }
       }
+      return this;
+    },
+
+    detach: function(model) {
+      var models = this.models,
+          indexOf = models.indexOf(model);
+
+      if (indexOf > -1) {
+        models.splice(indexOf, 1);
+        delete model.node;
+      }
+      return this;
+    },
+
+    //Calls callback for this node and all its descendants
+    traverse: function(callback) {
+      callback(this);
+      for (var i = 0, ch = this.children, l = ch.length; i < l; ++i) {
+        ch[i].traverse(callback);
+      }
+    },
+
+    //Returns all models attached to this node and its descendants
+    getModels: function() {
+      var models = [];
+      this.traverse(function(node) {
+        models.push.apply(models, node.models);
+      });
+      return models;
+    },
+
+    //Updates the local matrix from the position, rotation and scale
+    update: function() {
+      var matrix = this.matrix,
+          pos = this.position,
+          rot = this.rotation,
+          scale = this.scale;
+
+      matrix.id();
+      matrix.$translate(pos.x, pos.y, pos.z);
+      matrix.$rotateXYZ(rot.x, rot.y, rot.z);
+      matrix.$scale(scale.x, scale.y, scale.z);
+    },
+
+    //Updates the world matrices of this node and its descendants
+    transform: function() {
+      var parent = this.parent,
+          world = this.worldMatrix,
+          matrix = this.matrix,
+          i, ch, l;
+
+      if (parent) {
+        Mat4.mulMat42(world, parent.worldMatrix, matrix);
+      } else {
+        for (i = 0; i < 16; i++) {
+          world[i] = matrix[i];
+        }
+      }
+
+      for (i = 0, ch = this.children, l = ch.length; i < l; ++i) {
+        ch[i].transform();
+      }
     }
-  });
+  };
+
+  PhiloGL.SceneGraph = {
+    Node: Node
+  };
 
 })();
@@ -38,7 +38,22 @@
     //point lights configuration
     "uniform vec3 pointLocation[LIGHT_MAX];",
     "uniform vec3 pointColor[LIGHT_MAX];",
+    "uniform vec3 pointAttenuation[LIGHT_MAX];",
     "uniform int numberPoints;",
+    //spot lights configuration
+    "uniform vec3 spotLocation[LIGHT_MAX];",
+    "uniform vec3 spotDirection[LIGHT_MAX];",
+    "uniform vec3 spotColor[LIGHT_MAX];",
+    "uniform vec3 spotAttenuation[LIGHT_MAX];",
+    "uniform float spotCutoff[LIGHT_MAX];",
+    "uniform float spotExponent[LIGHT_MAX];",
+    "uniform int numberSpots;",
+    //shadows configuration, compiled when SHADOWS is defined
+    "#ifdef SHADOWS",
+    "uniform bool hasShadowMap;",
+    "uniform mat4 shadowMatrix;",
+    "uniform int pointShadowIndex;",
+    "#endif",
     //reflection / refraction configuration
 		"uniform bool useReflection;",
     //varyings
@@ -48,28 +63,79 @@
     "varying vec2 vTexCoord;",
     "varying vec4 vNormal;",
     "varying vec3 lightWeighting;",
+    //light of the shadow casting lights (included in lightWeighting)
+    "#ifdef SHADOWS",
+    "varying vec3 directionalWeighting;",
+    "varying vec3 pointShadowWeighting;",
+    "varying vec4 vShadowCoord;",
+    "varying vec3 vWorldPosition;",
+    "#endif",
+
+    //light attenuation for a distance and constant, linear and quadratic factors
+    "float attenuate(vec3 factors, float distance) {",
+      "return 1.0 / (factors.x + factors.y * distance + factors.z * distance * distance);",
+    "}",
 
     "void main(void) {",
       "vec4 mvPosition = worldMatrix * vec4(position, 1.0);",
       "vec4 transformedNormal = worldInverseTransposeMatrix * vec4(normal, 1.0);",
       //lighting code
+      "#ifdef SHADOWS",
+      "directionalWeighting = vec3(0.0, 0.0, 0.0);",
+      "pointShadowWeighting = vec3(0.0, 0.0, 0.0);",
+      "#endif",
       "if(!enableLights) {",
         "lightWeighting = vec3(1.0, 1.0, 1.0);",
       "} else {",
         "vec3 plightDirection;",
         "vec3 pointWeight = vec3(0.0, 0.0, 0.0);",
+        "vec3 pointLightWeight;",
+        "float spotEffect;",
         "float directionalLightWeighting = max(dot(transformedNormal.xyz, lightingDirection), 0.0);",
         "for (int i = 0; i < LIGHT_MAX; i++) {",
           "if (i < numberPoints) {",
-            "plightDirection = normalize((viewMatrix * vec4(pointLocation[i], 1.0)).xyz - mvPosition.xyz);",
-            "pointWeight += max(dot(transformedNormal.xyz, plightDirection), 0.0) * pointColor[i];",
+            "plightDirection = (viewMatrix * vec4(pointLocation[i], 1.0)).xyz - mvPosition.xyz;",
+            "pointLightWeight = max(dot(transformedNormal.xyz, normalize(plightDirection)), 0.0) * pointColor[i]",
+              " * attenuate(pointAttenuation[i], length(plightDirection));",
+            "pointWeight += pointLightWeight;",
+            "#ifdef SHADOWS",
+            "if (i == pointShadowIndex) {",
+              "pointShadowWeighting = pointLightWeight;",
+            "}",
+            "#endif",
+          "} else {",
+            "break;",
+          "}",
+        "}",
+        "for (int i = 0; i < LIGHT_MAX; i++) {",
+          "if (i < numberSpots) {",
+            "plightDirection = (viewMatrix * vec4(spotLocation[i], 1.0)).xyz - mvPosition.xyz;",
+            //cosine of the angle between the spot direction and the vertex
+            "spotEffect = dot(normalize((viewMatrix * vec4(spotDirection[i], 0.0)).xyz), -normalize(plightDirection));",
+            "if (spotEffect > spotCutoff[i]) {",
+              "pointWeight += max(dot(transformedNormal.xyz, normalize(plightDirection)), 0.0) * spotColor[i]",
+                " * pow(spotEffect, spotExponent[i]) * attenuate(spotAttenuation[i], length(plightDirection));",
+            "}",
           "} else {",
             "break;",
           "}",
         "}",
 
-        "lightWeighting = ambientColor + (directionalColor * directionalLightWeighting) + pointWeight;",
+        "vec3 directionalWeight = directionalColor * directionalLightWeighting;",
+        "lightWeighting = ambientColor + directionalWeight + pointWeight;",
+        "#ifdef SHADOWS",
+        "directionalWeighting = directionalWeight;",
+        "#endif",
+      "}",
+      //shadow map coordinates
+      "#ifdef SHADOWS",
+      "vWorldPosition = (objectMatrix * vec4(position, 1.0)).xyz;",
+      "if (hasShadowMap) {",
+        "vShadowCoord = shadowMatrix * vec4(vWorldPosition, 1.0);",
+      "} else {",
+        "vShadowCoord = vec4(0.0, 0.0, 0.0, 1.0);",
       "}",
+      "#endif",
       //refraction / reflection code
       "if (useReflection) {",
         "vReflection = (viewInverseMatrix[3] - (worldMatrix * vec4(position, 1.0))).xyz;",
@@ -116,13 +182,85 @@
     "uniform vec3 fogColor;",
     "uniform float fogNear;",
     "uniform float fogFar;",
+    //shadows configuration, compiled when SHADOWS is defined
+    "#ifdef SHADOWS",
+    "varying vec3 directionalWeighting;",
+    "varying vec3 pointShadowWeighting;",
+    "varying vec4 vShadowCoord;",
+    "varying vec3 vWorldPosition;",
+    "uniform bool hasShadowMap;",
+    "uniform sampler2D shadowMap;",
+    "uniform float shadowMapSize;",
+    "uniform float shadowBias;",
+    "uniform bool shadowPCF;",
+    "uniform bool hasPointShadowMap;",
+    "uniform samplerCube pointShadowMap;",
+    "uniform vec3 pointShadowPosition;",
+    "uniform float pointShadowFar;",
+    "uniform float pointShadowBias;",
+    "uniform bool pointShadowPCF;",
+
+    //depth values are packed in the RGBA channels of the shadow maps
+    "float unpackDepth(vec4 color) {",
+      "return dot(color, vec4(1.0 / (256.0 * 256.0 * 256.0), 1.0 / (256.0 * 256.0), 1.0 / 256.0, 1.0));",
+    "}",
+
+    //fraction of the directional light that reaches the fragment
+    "float getShadow() {",
+      "vec3 coord = vShadowCoord.xyz / vShadowCoord.w;",
+      "if (coord.x < 0.0 || coord.x > 1.0 || coord.y < 0.0 || coord.y > 1.0 || coord.z > 1.0) {",
+        "return 1.0;",
+      "}",
+      "float depth = coord.z - shadowBias;",
+      "if (!shadowPCF) {",
+        "return depth > unpackDepth(texture2D(shadowMap, coord.xy)) ? 0.0 : 1.0;",
+      "}",
+      //average a 3x3 kernel of samples
+      "float lit = 0.0;",
+      "for (int x = -1; x <= 1; x++) {",
+        "for (int y = -1; y <= 1; y++) {",
+          "vec2 offset = vec2(float(x), float(y)) / shadowMapSize;",
+          "lit += depth > unpackDepth(texture2D(shadowMap, coord.xy + offset)) ? 0.0 : 1.0;",
+        "}",
+      "}",
+      "return lit / 9.0;",
+    "}",
+
+    //fraction of the shadow casting point light that reaches the fragment
+    "float getPointShadow() {",
+      "vec3 direction = vWorldPosition - pointShadowPosition;",
+      "float depth = length(direction) / pointShadowFar - pointShadowBias;",
+      "if (!pointShadowPCF) {",
+        "return depth > unpackDepth(textureCube(pointShadowMap, direction)) ? 0.0 : 1.0;",
+      "}",
+      //average samples around the direction, at the corners of a cube
+      "float lit = 0.0;",
+      "float radius = length(direction) * 0.01;",
+      "for (int i = 0; i < 8; i++) {",
+        "float fi = float(i);",
+        "vec3 offset = vec3(mod(fi, 2.0), mod(floor(fi / 2.0), 2.0), floor(fi / 4.0)) * 2.0 - 1.0;",
+        "lit += depth > unpackDepth(textureCube(pointShadowMap, direction + offset * radius)) ? 0.0 : 1.0;",
+      "}",
+      "return lit / 8.0;",
+    "}",
+    "#endif",
 
     "void main(){",
+      "vec3 weighting = lightWeighting;",
+      //remove the light of shadowed fragments
+      "#ifdef SHADOWS",
+      "if (hasShadowMap) {",
+        "weighting -= directionalWeighting * (1.0 - getShadow());",
+      "}",
+      "if (hasPointShadowMap) {",
+        "weighting -= pointShadowWeighting * (1.0 - getPointShadow());",
+      "}",
+      "#endif",
       //set color from texture
       "if (!hasTexture1) {",
-        "gl_FragColor = vec4(vColor.rgb * lightWeighting, vColor.a);",
+        "gl_FragColor = vec4(vColor.rgb * weighting, vColor.a);",
       "} else {",
-        "gl_FragColor = vec4(texture2D(sampler1, vec2(vTexCoord.s, vTexCoord.t)).rgb * lightWeighting, 1.0);",
+        "gl_FragColor = vec4(texture2D(sampler1, vec2(vTexCoord.s, vTexCoord.t)).rgb * weighting, 1.0);",
       "}",
       //has cube texture then apply reflection
      "if (hasTextureCube1) {",
@@ -155,6 +293,460 @@
 
   ].join("\n");
 
+  //Renders the depth of the models from a light into a shadow map
+  VertexShaders.Depth = [
+    "attribute vec3 position;",
+    "uniform mat4 projectionMatrix;",
+    "uniform mat4 worldMatrix;",
+    "uniform mat4 objectMatrix;",
+    "varying vec3 vWorldPosition;",
+
+    "void main(void) {",
+      "vWorldPosition = (objectMatrix * vec4(position, 1.0)).xyz;",
+      "gl_Position = projectionMatrix * worldMatrix * vec4(position, 1.0);",
+    "}"
+
+  ].join("\n");
+
+  FragmentShaders.Depth = [
+
+    "#ifdef GL_ES",
+    "precision highp float;",
+    "#endif",
+    //point lights store the distance to the light
+    "uniform bool shadowPoint;",
+    "uniform vec3 pointShadowPosition;",
+    "uniform float pointShadowFar;",
+    "varying vec3 vWorldPosition;",
+
+    //packs a [0, 1) value in the RGBA channels
+    "vec4 packDepth(float depth) {",
+      "vec4 color = fract(depth * vec4(256.0 * 256.0 * 256.0, 256.0 * 256.0, 256.0, 1.0));",
+      "return color - color.xxyz * vec4(0.0, 1.0 / 256.0, 1.0 / 256.0, 1.0 / 256.0);",
+    "}",
+
+    "void main(){",
+      "if (shadowPoint) {",
+        "gl_FragColor = packDepth(length(vWorldPosition - pointShadowPosition) / pointShadowFar);",
+      "} else {",
+        "gl_FragColor = packDepth(gl_FragCoord.z);",
+      "}",
+    "}"
+
+  ].join("\n");
+
+  //Per fragment Phong lighting with the named texture slots of the models
+  //(diffuse, normal, specular and emissive maps)
+  VertexShaders.FragmentLighting = [
+    "attribute vec3 position;",
+    "attribute vec3 normal;",
+    "attribute vec4 tangent;",
+    "attribute vec4 color;",
+    "attribute vec2 texCoord1;",
+
+    "uniform mat4 projectionMatrix;",
+    "uniform mat4 worldMatrix;",
+    "uniform mat4 worldInverseTransposeMatrix;",
+
+    //view space position, normal and tangent
+    "varying vec3 vPosition;",
+    "varying vec3 vNormal;",
+    "varying vec4 vTangent;",
+    "varying vec4 vColor;",
+    "varying vec2 vTexCoord;",
+
+    "void main(void) {",
+      "vec4 mvPosition = worldMatrix * vec4(position, 1.0);",
+      "vPosition = mvPosition.xyz;",
+      "vNormal = (worldInverseTransposeMatrix * vec4(normal, 0.0)).xyz;",
+      "vTangent = vec4((worldMatrix * vec4(tangent.xyz, 0.0)).xyz, tangent.w);",
+      "vColor = color;",
+      "vTexCoord = texCoord1;",
+      "gl_Position = projectionMatrix * mvPosition;",
+    "}"
+
+  ].join("\n");
+
+  FragmentShaders.FragmentLighting = [
+
+    "#ifdef GL_ES",
+    "precision highp float;",
+    "#endif",
+    "#define LIGHT_MAX 4",
+
+    "varying vec3 vPosition;",
+    "varying vec3 vNormal;",
+    "varying vec4 vTangent;",
+    "varying vec4 vColor;",
+    "varying vec2 vTexCoord;",
+
+    "uniform mat4 viewMatrix;",
+    "uniform float shininess;",
+    //lighting configuration
+    "uniform bool enableLights;",
+    "uniform vec3 ambientColor;",
+    "uniform vec3 directionalColor;",
+    "uniform vec3 lightingDirection;",
+    "uniform vec3 pointLocation[LIGHT_MAX];",
+    "uniform vec3 pointColor[LIGHT_MAX];",
+    "uniform vec3 pointSpecularColor[LIGHT_MAX];",
+    "uniform vec3 pointAttenuation[LIGHT_MAX];",
+    "uniform float enableSpecular[LIGHT_MAX];",
+    "uniform int numberPoints;",
+    "uniform vec3 spotLocation[LIGHT_MAX];",
+    "uniform vec3 spotDirection[LIGHT_MAX];",
+    "uniform vec3 spotColor[LIGHT_MAX];",
+    "uniform vec3 spotSpecularColor[LIGHT_MAX];",
+    "uniform vec3 spotAttenuation[LIGHT_MAX];",
+    "uniform float spotCutoff[LIGHT_MAX];",
+    "uniform float spotExponent[LIGHT_MAX];",
+    "uniform float spotEnableSpecular[LIGHT_MAX];",
+    "uniform int numberSpots;",
+    //texture configs. The first numbered texture is
+    //used when there's no diffuse map.
+    "uniform bool hasTexture1;",
+    "uniform sampler2D sampler1;",
+    "uniform bool hasDiffuseMap;",
+    "uniform sampler2D diffuseMap;",
+    "uniform bool hasNormalMap;",
+    "uniform sampler2D normalMap;",
+    "uniform bool hasSpecularMap;",
+    "uniform sampler2D specularMap;",
+    "uniform bool hasEmissiveMap;",
+    "uniform sampler2D emissiveMap;",
+    //fog configuration
+    "uniform bool hasFog;",
+    "uniform vec3 fogColor;",
+    "uniform float fogNear;",
+    "uniform float fogFar;",
+
+    "float attenuate(vec3 factors, float distance) {",
+      "return 1.0 / (factors.x + factors.y * distance + factors.z * distance * distance);",
+    "}",
+
+    //specular light weighting of a light coming from lightDirection
+    "float specularWeighting(vec3 normal, vec3 lightDirection) {",
+      "vec3 reflectionDirection = reflect(-lightDirection, normal);",
+      "return pow(max(dot(reflectionDirection, normalize(-vPosition)), 0.0), shininess);",
+    "}",
+
+    "void main(void) {",
+      "vec4 diffuseColor = vColor;",
+      "if (hasDiffuseMap) {",
+        "diffuseColor = texture2D(diffuseMap, vTexCoord);",
+      "} else if (hasTexture1) {",
+        "diffuseColor = texture2D(sampler1, vTexCoord);",
+      "}",
+
+      //tangent space normal mapping. Models need tangents.
+      "vec3 normal = normalize(vNormal);",
+      "if (hasNormalMap && dot(vTangent.xyz, vTangent.xyz) > 0.0) {",
+        "vec3 tangent = normalize(vTangent.xyz - normal * dot(normal, vTangent.xyz));",
+        "vec3 bitangent = cross(normal, tangent) * vTangent.w;",
+        "normal = normalize(mat3(tangent, bitangent, normal) * (texture2D(normalMap, vTexCoord).xyz * 2.0 - 1.0));",
+      "}",
+
+      "vec3 lightWeighting = vec3(1.0, 1.0, 1.0);",
+      "vec3 specularLight = vec3(0.0, 0.0, 0.0);",
+      "if (enableLights) {",
+        "vec3 lightDirection;",
+        "float attenuation;",
+        "float spotEffect;",
+        "lightWeighting = ambientColor + directionalColor *",
+          " max(dot(normal, normalize((viewMatrix * vec4(lightingDirection, 0.0)).xyz)), 0.0);",
+
+        "for (int i = 0; i < LIGHT_MAX; i++) {",
+          "if (i < numberPoints) {",
+            "lightDirection = (viewMatrix * vec4(pointLocation[i], 1.0)).xyz - vPosition;",
+            "attenuation = attenuate(pointAttenuation[i], length(lightDirection));",
+            "lightDirection = normalize(lightDirection);",
+            "if (enableSpecular[i] > 0.0) {",
+              "specularLight += specularWeighting(normal, lightDirection) * pointSpecularColor[i] * attenuation;",
+            "}",
+            "lightWeighting += max(dot(normal, lightDirection), 0.0) * pointColor[i] * attenuation;",
+          "} else {",
+            "break;",
+          "}",
+        "}",
+
+        "for (int i = 0; i < LIGHT_MAX; i++) {",
+          "if (i < numberSpots) {",
+            "lightDirection = (viewMatrix * vec4(spotLocation[i], 1.0)).xyz - vPosition;",
+            "attenuation = attenuate(spotAttenuation[i], length(lightDirection));",
+            "lightDirection = normalize(lightDirection);",
+            "spotEffect = dot(normalize((viewMatrix * vec4(spotDirection[i], 0.0)).xyz), -lightDirection);",
+            "if (spotEffect > spotCutoff[i]) {",
+              "attenuation *= pow(spotEffect, spotExponent[i]);",
+              "if (spotEnableSpecular[i] > 0.0) {",
+                "specularLight += specularWeighting(normal, lightDirection) * spotSpecularColor[i] * attenuation;",
+              "}",
+              "lightWeighting += max(dot(normal, lightDirection), 0.0) * spotColor[i] * attenuation;",
+            "}",
+          "} else {",
+            "break;",
+          "}",
+        "}",
+      "}",
+
+      //the specular map scales the specular light
+      "if (hasSpecularMap) {",
+        "specularLight *= texture2D(specularMap, vTexCoord).rgb;",
+      "}",
+
+      "vec3 color = diffuseColor.rgb * lightWeighting + specularLight;",
+      "if (hasEmissiveMap) {",
+        "color += texture2D(emissiveMap, vTexCoord).rgb;",
+      "}",
+      "gl_FragColor = vec4(color, diffuseColor.a);",
+      //handle fog
+      "if (hasFog) {",
+        "float depth = gl_FragCoord.z / gl_FragCoord.w;",
+        "float fogFactor = smoothstep(fogNear, fogFar, depth);",
+        "gl_FragColor = mix(gl_FragColor, vec4(fogColor, gl_FragColor.w), fogFactor);",
+      "}",
+    "}"
+
+  ].join("\n");
+
+  //Physically based shading of models with an O3D.Material: Cook-Torrance
+  //(GGX) for the scene lights plus image based lighting from a cube map
+  VertexShaders.PBR = [
+    "attribute vec3 position;",
+    "attribute vec3 normal;",
+    "attribute vec2 texCoord1;",
+
+    "uniform mat4 projectionMatrix;",
+    "uniform mat4 worldMatrix;",
+    "uniform mat4 worldInverseTransposeMatrix;",
+
+    //view space position and normal
+    "varying vec3 vPosition;",
+    "varying vec3 vNormal;",
+    "varying vec2 vTexCoord;",
+
+    "void main(void) {",
+      "vec4 mvPosition = worldMatrix * vec4(position, 1.0);",
+      "vPosition = mvPosition.xyz;",
+      "vNormal = (worldInverseTransposeMatrix * vec4(normal, 0.0)).xyz;",
+      "vTexCoord = texCoord1;",
+      "gl_Position = projectionMatrix * mvPosition;",
+    "}"
+
+  ].join("\n");
+
+  FragmentShaders.PBR = [
+
+    //normal maps need screen space derivatives
+    "#ifdef GL_OES_standard_derivatives",
+    "#extension GL_OES_standard_derivatives : enable",
+    "#endif",
+    "#ifdef GL_ES",
+    "precision highp float;",
+    "#endif",
+    "#define LIGHT_MAX 4",
+    "#define PI 3.141592653589793",
+
+    "varying vec3 vPosition;",
+    "varying vec3 vNormal;",
+    "varying vec2 vTexCoord;",
+
+    "uniform mat4 viewMatrix;",
+    "uniform mat4 viewInverseMatrix;",
+    //lighting configuration
+    "uniform bool enableLights;",
+    "uniform vec3 ambientColor;",
+    "uniform vec3 directionalColor;",
+    "uniform vec3 lightingDirection;",
+    "uniform vec3 pointLocation[LIGHT_MAX];",
+    "uniform vec3 pointColor[LIGHT_MAX];",
+    "uniform vec3 pointAttenuation[LIGHT_MAX];",
+    "uniform int numberPoints;",
+    "uniform vec3 spotLocation[LIGHT_MAX];",
+    "uniform vec3 spotDirection[LIGHT_MAX];",
+    "uniform vec3 spotColor[LIGHT_MAX];",
+    "uniform vec3 spotAttenuation[LIGHT_MAX];",
+    "uniform float spotCutoff[LIGHT_MAX];",
+    "uniform float spotExponent[LIGHT_MAX];",
+    "uniform int numberSpots;",
+    //image based lighting configuration
+    "uniform bool hasEnvironment;",
+    "uniform samplerCube environmentMap;",
+    "uniform float environmentIntensity;",
+    "uniform float environmentLevels;",
+    //material configuration
+    "uniform vec4 baseColor;",
+    "uniform float metallic;",
+    "uniform float roughness;",
+    "uniform vec3 emissive;",
+    "uniform float normalScale;",
+    "uniform float occlusionStrength;",
+    "uniform bool hasMaterialBaseColorMap;",
+    "uniform sampler2D materialBaseColorMap;",
+    "uniform bool hasMaterialMetallicRoughnessMap;",
+    "uniform sampler2D materialMetallicRoughnessMap;",
+    "uniform bool hasMaterialNormalMap;",
+    "uniform sampler2D materialNormalMap;",
+    "uniform bool hasMaterialOcclusionMap;",
+    "uniform sampler2D materialOcclusionMap;",
+    "uniform bool hasMaterialEmissiveMap;",
+    "uniform sampler2D materialEmissiveMap;",
+    //fog configuration
+    "uniform bool hasFog;",
+    "uniform vec3 fogColor;",
+    "uniform float fogNear;",
+    "uniform float fogFar;",
+
+    //color textures and cube maps are stored in sRGB
+    "vec3 toLinear(vec3 color) {",
+      "return pow(color, vec3(2.2));",
+    "}",
+
+    "float attenuate(vec3 factors, float distance) {",
+      "return 1.0 / (factors.x + factors.y * distance + factors.z * distance * distance);",
+    "}",
+
+    //GGX normal distribution
+    "float distributionGGX(float NdotH, float alpha) {",
+      "float alpha2 = alpha * alpha;",
+      "float d = NdotH * NdotH * (alpha2 - 1.0) + 1.0;",
+      "return alpha2 / (PI * d * d);",
+    "}",
+
+    //Smith-Schlick geometry term
+    "float geometrySmith(float NdotV, float NdotL, float rough) {",
+      "float k = (rough + 1.0) * (rough + 1.0) / 8.0;",
+      "return NdotV / (NdotV * (1.0 - k) + k) * NdotL / (NdotL * (1.0 - k) + k);",
+    "}",
+
+    "vec3 fresnelSchlick(float cosTheta, vec3 F0) {",
+      "return F0 + (1.0 - F0) * pow(1.0 - cosTheta, 5.0);",
+    "}",
+
+    //analytical fit of the split sum environment BRDF
+    "vec2 environmentBRDF(float NdotV, float rough) {",
+      "vec4 r = rough * vec4(-1.0, -0.0275, -0.572, 0.022) + vec4(1.0, 0.0425, 1.04, -0.04);",
+      "float a004 = min(r.x * r.x, exp2(-9.28 * NdotV)) * r.x + r.y;",
+      "return vec2(-1.04, 1.04) * a004 + r.zw;",
+    "}",
+
+    //light reflected towards V of a light with a color coming from L. Colors
+    //are scaled by PI so that a white light lights a white surface in white.
+    "vec3 shade(vec3 N, vec3 V, vec3 L, vec3 color, vec3 albedo, vec3 F0, float metal, float rough) {",
+      "vec3 H = normalize(V + L);",
+      "float NdotL = max(dot(N, L), 0.0);",
+      "float NdotV = max(dot(N, V), 0.0001);",
+      "vec3 F = fresnelSchlick(max(dot(H, V), 0.0), F0);",
+      "vec3 specular = distributionGGX(max(dot(N, H), 0.0), rough * rough) * geometrySmith(NdotV, NdotL, rough) * F",
+        " / (4.0 * NdotV * NdotL + 0.0001);",
+      "vec3 diffuse = (1.0 - F) * (1.0 - metal) * albedo / PI;",
+      "return (diffuse + specular) * color * PI * NdotL;",
+    "}",
+
+    //normal from the normal map, with the tangent frame
+    //computed from the position and uv derivatives
+    "vec3 getNormal() {",
+      "vec3 N = normalize(vNormal);",
+      "#ifdef GL_OES_standard_derivatives",
+      "if (hasMaterialNormalMap) {",
+        "vec3 dp1 = dFdx(vPosition), dp2 = dFdy(vPosition);",
+        "vec2 duv1 = dFdx(vTexCoord), duv2 = dFdy(vTexCoord);",
+        "vec3 dp2perp = cross(dp2, N), dp1perp = cross(N, dp1);",
+        "vec3 T = dp2perp * duv1.x + dp1perp * duv2.x;",
+        "vec3 B = dp2perp * duv1.y + dp1perp * duv2.y;",
+        "float invmax = inversesqrt(max(max(dot(T, T), dot(B, B)), 1e-12));",
+        "vec3 mapN = texture2D(materialNormalMap, vTexCoord).xyz * 2.0 - 1.0;",
+        "mapN.xy *= normalScale;",
+        "N = normalize(mat3(T * invmax, B * invmax, N) * mapN);",
+      "}",
+      "#endif",
+      "return gl_FrontFacing? N : -N;",
+    "}",
+
+    "void main(){",
+      //material values
+      "vec4 base = baseColor;",
+      "if (hasMaterialBaseColorMap) {",
+        "vec4 texel = texture2D(materialBaseColorMap, vTexCoord);",
+        "base *= vec4(toLinear(texel.rgb), texel.a);",
+      "}",
+      "float metal = metallic;",
+      "float rough = roughness;",
+      //glTF layout: roughness in green, metalness in blue
+      "if (hasMaterialMetallicRoughnessMap) {",
+        "vec4 texel = texture2D(materialMetallicRoughnessMap, vTexCoord);",
+        "rough *= texel.g;",
+        "metal *= texel.b;",
+      "}",
+      "rough = clamp(rough, 0.04, 1.0);",
+      "metal = clamp(metal, 0.0, 1.0);",
+      "float occlusion = 1.0;",
+      "if (hasMaterialOcclusionMap) {",
+        "occlusion = mix(1.0, texture2D(materialOcclusionMap, vTexCoord).r, occlusionStrength);",
+      "}",
+      "vec3 albedo = base.rgb;",
+      //dielectrics reflect 4% at normal incidence, metals their color
+      "vec3 F0 = mix(vec3(0.04), albedo, metal);",
+
+      "vec3 N = getNormal();",
+      "vec3 V = normalize(-vPosition);",
+      "vec3 color = vec3(0.0, 0.0, 0.0);",
+      "vec3 L;",
+
+      "if (enableLights) {",
+        "color += ambientColor * albedo * (1.0 - metal) * occlusion;",
+        "color += shade(N, V, normalize((viewMatrix * vec4(lightingDirection, 0.0)).xyz), directionalColor, albedo, F0, metal, rough);",
+        "for (int i = 0; i < LIGHT_MAX; i++) {",
+          "if (i < numberPoints) {",
+            "L = (viewMatrix * vec4(pointLocation[i], 1.0)).xyz - vPosition;",
+            "color += shade(N, V, normalize(L), pointColor[i], albedo, F0, metal, rough) * attenuate(pointAttenuation[i], length(L));",
+          "} else {",
+            "break;",
+          "}",
+        "}",
+        "for (int i = 0; i < LIGHT_MAX; i++) {",
+          "if (i < numberSpots) {",
+            "L = (viewMatrix * vec4(spotLocation[i], 1.0)).xyz - vPosition;",
+            "float spotEffect = dot(normalize((viewMatrix * vec4(spotDirection[i], 0.0)).xyz), -normalize(L));",
+            "if (spotEffect > spotCutoff[i]) {",
+              "color += shade(N, V, normalize(L), spotColor[i], albedo, F0, metal, rough)",
+                " * pow(spotEffect, spotExponent[i]) * attenuate(spotAttenuation[i], length(L));",
+            "}",
+          "} else {",
+            "break;",
+          "}",
+        "}",
+      "}",
+
+      //image based lighting. Blurrier mipmap levels stand for the
+      //irradiance and for the reflections of rough surfaces.
+      "if (hasEnvironment) {",
+        "float NdotV = max(dot(N, V), 0.0001);",
+        "vec3 worldN = (viewInverseMatrix * vec4(N, 0.0)).xyz;",
+        "vec3 worldR = (viewInverseMatrix * vec4(reflect(-V, N), 0.0)).xyz;",
+        "vec3 irradiance = toLinear(textureCube(environmentMap, worldN, environmentLevels).rgb);",
+        "vec3 radiance = toLinear(textureCube(environmentMap, worldR, rough * environmentLevels).rgb);",
+        "vec2 brdf = environmentBRDF(NdotV, rough);",
+        "vec3 specular = F0 * brdf.x + brdf.y;",
+        "color += ((1.0 - specular) * (1.0 - metal) * albedo * irradiance + specular * radiance) * environmentIntensity * occlusion;",
+      "}",
+
+      "vec3 emitted = emissive;",
+      "if (hasMaterialEmissiveMap) {",
+        "emitted *= toLinear(texture2D(materialEmissiveMap, vTexCoord).rgb);",
+      "}",
+      "color += emitted;",
+
+      "gl_FragColor = vec4(pow(color, vec3(1.0 / 2.2)), base.a);",
+      //handle fog
+      "if (hasFog) {",
+        "float depth = gl_FragCoord.z / gl_FragCoord.w;",
+        "float fogFactor = smoothstep(fogNear, fogFar, depth);",
+        "gl_FragColor = mix(gl_FragColor, vec4(fogColor, gl_FragColor.w), fogFactor);",
+      "}",
+    "}"
+
+  ].join("\n");
+
   PhiloGL.Shaders = Shaders;
 
 })();
@@ -6,8 +6,16 @@
   var WebGL = {
 
     getContext: function(canvas, opt) {
-      var canvas = typeof canvas == 'string'? $(canvas) : canvas, ctx;
-      ctx = canvas.getContext('experimental-webgl', opt);
+      var canvas = typeof canvas == 'string'? $(canvas) : canvas, ctx, gl,
+          isWebGL2 = false;
+      //prefer a WebGL2 context if asked for
+      if (opt && opt.webgl2) {
+        ctx = canvas.getContext('webgl2', opt);
+        isWebGL2 = !!ctx;
+      }
+      if (!ctx) {
+        ctx = canvas.getContext('experimental-webgl', opt);
+      }
       if (!ctx) {
         ctx = canvas.getContext('webgl', opt);
       }
@@ -48,6 +56,7 @@
         gl.get = function(name) {
           return typeof name == 'string'? gl[name] : name;
         };
+        gl.isWebGL2 = isWebGL2;
       }
 
       return gl;
@@ -55,7 +64,304 @@
 
   };
 
+  //Enables the WebGL1 extensions used as fallback for WebGL2 features and
+  //returns what the context supports.
+  function getCapabilities(gl, extensions) {
+    var isWebGL2 = !!gl.isWebGL2;
+
+    function ext(name) {
+      return !!(extensions[name] = gl.getExtension(name));
+    }
+
+    return {
+      webgl2: isWebGL2,
+      instancing: isWebGL2 || ext('ANGLE_instanced_arrays'),
+      floatTextures: isWebGL2 || ext('OES_texture_float'),
+      //rendering to float textures needs an extra extension in WebGL2
+      floatRenderTargets: isWebGL2? ext('EXT_color_buffer_float') : !!extensions.OES_texture_float,
+      vertexArrayObjects: isWebGL2 || ext('OES_vertex_array_object'),
+      multipleRenderTargets: isWebGL2 || ext('WEBGL_draw_buffers'),
+      elementIndexUint: isWebGL2 || ext('OES_element_index_uint'),
+      //dFdx/dFdy in GLSL ES 1.0 shaders. Enabling the extension defines the
+      //GL_OES_standard_derivatives macro the shaders check for.
+      standardDerivatives: isWebGL2 || ext('OES_standard_derivatives'),
+      gpuTimer: ext(isWebGL2? 'EXT_disjoint_timer_query_webgl2' : 'EXT_disjoint_timer_query'),
+      maxDrawBuffers: isWebGL2? gl.getParameter(gl.MAX_DRAW_BUFFERS) :
+        (extensions.WEBGL_draw_buffers? gl.getParameter(extensions.WEBGL_draw_buffers.MAX_DRAW_BUFFERS_WEBGL) : 1),
+      //WebGL1 only guarantees 8
+      maxTextureUnits: gl.getParameter(gl.MAX_COMBINED_TEXTURE_IMAGE_UNITS)
+    };
+  }
+
+  //WebGL2 needs sized internal formats for float textures
+  function getInternalFormat(gl, format, type) {
+    if (gl.isWebGL2 && type === gl.FLOAT) {
+      if (format === gl.RGBA) return gl.RGBA32F;
+      if (format === gl.RGB) return gl.RGB32F;
+    }
+    return format;
+  }
+
+  //Wraps the WebGL2 and WebGL1 timer query APIs
+  function getTimer(gl, extensions) {
+    var ext;
+    if (gl.isWebGL2) {
+      ext = extensions.EXT_disjoint_timer_query_webgl2;
+      return {
+        ext: ext,
+        create: function() {
+          return gl.createQuery();
+        },
+        begin: function(query) {
+          gl.beginQuery(ext.TIME_ELAPSED_EXT, query);
+        },
+        end: function() {
+          gl.endQuery(ext.TIME_ELAPSED_EXT);
+        },
+        available: function(query) {
+          return gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE);
+        },
+        result: function(query) {
+          return gl.getQueryParameter(query, gl.QUERY_RESULT);
+        },
+        remove: function(query) {
+          gl.deleteQuery(query);
+        }
+      };
+    }
+    ext = extensions.EXT_disjoint_timer_query;
+    return {
+      ext: ext,
+      create: function() {
+        return ext.createQueryEXT();
+      },
+      begin: function(query) {
+        ext.beginQueryEXT(ext.TIME_ELAPSED_EXT, query);
+      },
+      end: function() {
+        ext.endQueryEXT(ext.TIME_ELAPSED_EXT);
+      },
+      available: function(query) {
+        return ext.getQueryObjectEXT(query, ext.QUERY_RESULT_AVAILABLE_EXT);
+      },
+      result: function(query) {
+        return ext.getQueryObjectEXT(query, ext.QUERY_RESULT_EXT);
+      },
+      remove: function(query) {
+        ext.deleteQueryEXT(query);
+      }
+    };
+  }
+
+  //Named blend modes as [src, dst] factors
+  var blendModes = {
+    alpha: ['SRC_ALPHA', 'ONE_MINUS_SRC_ALPHA'],
+    additive: ['SRC_ALPHA', 'ONE'],
+    multiply: ['DST_COLOR', 'ZERO'],
+    premultiplied: ['ONE', 'ONE_MINUS_SRC_ALPHA']
+  };
+
+  function toggle(gl, cap, enable) {
+    if (enable) {
+      gl.enable(cap);
+    } else {
+      gl.disable(cap);
+    }
+  }
+
+  //Getters and setters of each render state key. Values are in the form
+  //returned by normalizeRenderState.
+  var renderStates = {
+    //false or [src, dst, srcAlpha, dstAlpha]
+    blend: {
+      get: function(gl) {
+        return gl.isEnabled(gl.BLEND) && [gl.getParameter(gl.BLEND_SRC_RGB), gl.getParameter(gl.BLEND_DST_RGB),
+                                          gl.getParameter(gl.BLEND_SRC_ALPHA), gl.getParameter(gl.BLEND_DST_ALPHA)];
+      },
+      set: function(gl, value) {
+        toggle(gl, gl.BLEND, value);
+        if (value) {
+          gl.blendFuncSeparate(value[0], value[1], value[2], value[3]);
+        }
+      }
+    },
+    blendEquation: {
+      get: function(gl) {
+        return gl.getParameter(gl.BLEND_EQUATION_RGB);
+      },
+      set: function(gl, value) {
+        gl.blendEquation(value);
+      }
+    },
+    depthTest: {
+      get: function(gl) {
+        return gl.isEnabled(gl.DEPTH_TEST);
+      },
+      set: function(gl, value) {
+        toggle(gl, gl.DEPTH_TEST, value);
+      }
+    },
+    depthWrite: {
+      get: function(gl) {
+        return gl.getParameter(gl.DEPTH_WRITEMASK);
+      },
+      set: function(gl, value) {
+        gl.depthMask(value);
+      }
+    },
+    depthFunc: {
+      get: function(gl) {
+        return gl.getParameter(gl.DEPTH_FUNC);
+      },
+      set: function(gl, value) {
+        gl.depthFunc(value);
+      }
+    },
+    //false or the face to cull
+    cullFace: {
+      get: function(gl) {
+        return gl.isEnabled(gl.CULL_FACE) && gl.getParameter(gl.CULL_FACE_MODE);
+      },
+      set: function(gl, value) {
+        toggle(gl, gl.CULL_FACE, value);
+        if (value) {
+          gl.cullFace(value);
+        }
+      }
+    },
+    //[r, g, b, a] booleans
+    colorMask: {
+      get: function(gl) {
+        return Array.prototype.slice.call(gl.getParameter(gl.COLOR_WRITEMASK));
+      },
+      set: function(gl, value) {
+        gl.colorMask(value[0], value[1], value[2], value[3]);
+      }
+    },
+    //false or [factor, units]
+    polygonOffset: {
+      get: function(gl) {
+        return gl.isEnabled(gl.POLYGON_OFFSET_FILL) &&
+          [gl.getParameter(gl.POLYGON_OFFSET_FACTOR), gl.getParameter(gl.POLYGON_OFFSET_UNITS)];
+      },
+      set: function(gl, value) {
+        toggle(gl, gl.POLYGON_OFFSET_FILL, value);
+        if (value) {
+          gl.polygonOffset(value[0], value[1]);
+        }
+      }
+    },
+    lineWidth: {
+      get: function(gl) {
+        return gl.getParameter(gl.LINE_WIDTH);
+      },
+      set: function(gl, value) {
+        gl.lineWidth(value);
+      }
+    }
+  };
+
+  //Turns a render state description into GL values
+  function normalizeRenderState(gl, state) {
+    var ans = {}, key, value, factors;
+
+    for (key in state) {
+      value = state[key];
+      if (!(key in renderStates)) {
+        throw 'Unknown render state ' + key;
+      }
+      switch (key) {
+        case 'blend':
+          if (value === true) {
+            value = 'alpha';
+          }
+          if (typeof value == 'string') {
+            if (!(value in blendModes)) {
+              throw 'Unknown blend mode ' + value;
+            }
+            value = blendModes[value];
+          } else if (value && !Array.isArray(value)) {
+            if (value.equation) {
+              ans.blendEquation = gl.get(value.equation);
+            }
+            value = [value.src, value.dst, value.srcAlpha || value.src, value.dstAlpha || value.dst];
+          }
+          if (value) {
+            factors = value.map(function(name) {
+              return gl.get(name);
+            });
+            value = factors.length == 4? factors : factors.concat(factors);
+          }
+          break;
+        case 'blendEquation':
+        case 'depthFunc':
+          value = gl.get(value);
+          break;
+        case 'cullFace':
+          value = value === true? gl.BACK : (value && gl.get(value));
+          break;
+        case 'polygonOffset':
+          if (value && !Array.isArray(value)) {
+            value = [value.factor || 0, value.units || 0];
+          }
+          break;
+      }
+      ans[key] = value;
+    }
+    return ans;
+  }
+
+  function equalState(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+      for (var i = 0, l = a.length; i < l; i++) {
+        if (a[i] !== b[i]) return false;
+      }
+      return a.length == b.length;
+    }
+    return a === b;
+  }
+
+  //Wraps the viewport, clearColor and bindFramebuffer calls of a context to
+  //record their values in gl.$viewState, so they can be restored without
+  //querying GL. Unknown values are undefined.
+  function trackViewState(gl) {
+    if (gl.$viewState) {
+      return gl.$viewState;
+    }
+    var viewState = gl.$viewState = {
+          viewport: undefined,
+          clearColor: undefined,
+          frameBuffer: undefined
+        },
+        viewport = gl.viewport,
+        clearColor = gl.clearColor,
+        bindFramebuffer = gl.bindFramebuffer;
+
+    gl.viewport = function(x, y, width, height) {
+      viewState.viewport = [x, y, width, height];
+      viewport.call(gl, x, y, width, height);
+    };
+    gl.clearColor = function(r, g, b, a) {
+      viewState.clearColor = [r, g, b, a];
+      clearColor.call(gl, r, g, b, a);
+    };
+    gl.bindFramebuffer = function(target, frameBuffer) {
+      if (target == gl.FRAMEBUFFER || target == gl.DRAW_FRAMEBUFFER) {
+        viewState.frameBuffer = frameBuffer;
+      }
+      bindFramebuffer.call(gl, target, frameBuffer);
+    };
+    return viewState;
+  }
+
   function Application(options) {
+    //context loss/restore callbacks
+    this.onContextLost = $.empty;
+    this.onContextRestored = $.empty;
+    //called when the canvas is resized by autoResize
+    this.onResize = $.empty;
+    //ratio between drawing buffer and CSS pixels
+    this.pixelRatio = 1;
     //copy program, scene, camera, etc.
     for (var prop in options) {
       this[prop] = options[prop];
@@ -63,6 +369,9 @@
     //handle buffers
     this.buffers = {};
     this.bufferMemo = {};
+    //last data uploaded to each buffer/texture, used to restore the context
+    this.bufferValues = {};
+    this.textureValues = {};
     //handle framebuffers
     this.frameBuffers = {};
     this.frameBufferMemo = {};
@@ -72,18 +381,62 @@
     //handle textures
     this.textures = {};
     this.textureMemo = {};
+    //all programs created for this application
+    this.programs = [];
+    //vertex array object currently bound
+    this.boundVertexArray = null;
+    //last render state values set with setRenderState
+    this.renderState = {};
+    //GL objects currently bound, used to skip redundant calls
+    this.resetGLState();
+    //redundant calls skipped since the last resetSavedCalls
+    this.savedCalls = {};
+    this.resetSavedCalls();
+    //statistics of the frame being rendered and of the last
+    //one (see beginFrame and endFrame)
+    this.stats = {};
+    this.resetStats();
+    this.frameStats = null;
+    //GPU timer queries waiting for their results
+    this.timer = null;
+    this.timerQueries = [];
+    //WebGL2 features or their WebGL1 extension fallbacks
+    this.extensions = {};
+    this.capabilities = this.gl? getCapabilities(this.gl, this.extensions) : {};
+    //viewport, clear color and bound framebuffer (see getViewState)
+    this.viewState = this.gl? trackViewState(this.gl) : {};
+    //listen for context loss/restore
+    this.contextLost = false;
+    this.contextListeners = {};
+    var that = this,
+        canvas = this.canvas;
+    if (canvas && canvas.addEventListener) {
+      this.contextListeners = {
+        webglcontextlost: function(e) {
+          that.handleContextLost(e);
+        },
+        webglcontextrestored: function(e) {
+          that.handleContextRestored(e);
+        }
+      };
+      for (var type in this.contextListeners) {
+        canvas.addEventListener(type, this.contextListeners[type], false);
+      }
+    }
   }
 
   Application.prototype = {
     $$family: 'application',
 
     setBuffer: function(program, name, opt) {
+      var gl = this.gl;
+
       //unbind buffer
       if (opt === false || opt === null) {
         opt = this.bufferMemo[name];
         //reset buffer
         if(opt) {
-          gl.bindBuffer(opt.bufferType, null);
+          this.bindBuffer(opt.bufferType, null);
         }
         //disable vertex attrib array if the buffer maps to an attribute.
         var attributeName = opt && opt.attribute || name,
@@ -119,8 +472,7 @@
           offset = opt.offset,
           drawType = opt.drawType,
           loc = program.attributes[attributeName],
-          isAttribute = loc !== undefined,
-          ext;
+          isAttribute = loc !== undefined;
 
       if (!hasBuffer) {
         this.buffers[name] = buffer;
@@ -130,21 +482,18 @@
         gl.enableVertexAttribArray(loc);
       }
 
-      gl.bindBuffer(bufferType, buffer);
+      this.bindBuffer(bufferType, buffer);
 
       if (hasValue) {
         gl.bufferData(bufferType, value, drawType);
+        this.bufferValues[name] = value;
+        this.stats.bufferUploads++;
       }
 
       if (isAttribute) {
         gl.vertexAttribPointer(loc, size, dataType, false, stride, offset);
         if (instanced) {
-          ext = gl.getExtension('ANGLE_instanced_arrays');
-          if (!ext) {
-            console.warn('ANGLE_instanced_arrays not supported!');
-          } else {
-            ext.vertexAttribDivisorANGLE(loc, instanced === true ? 1 : instanced);
-          }
+          this.vertexAttribDivisor(loc, instanced === true ? 1 : instanced);
         }
       }
 
@@ -167,7 +516,21 @@
       return this;
     },
 
+    deleteBuffer: function(name) {
+      var buffer = this.buffers[name];
+      if (buffer) {
+        this.gl.deleteBuffer(buffer);
+        this.resetGLState();
+        delete this.buffers[name];
+        delete this.bufferMemo[name];
+        delete this.bufferValues[name];
+      }
+      return this;
+    },
+
     setFrameBuffer: function(name, opt) {
+      var gl = this.gl;
+
       //bind/unbind framebuffer
       if (typeof opt != 'object') {
         gl.bindFramebuffer(gl.FRAMEBUFFER, opt? this.frameBuffers[name] : null);
@@ -182,6 +545,8 @@
         textureOptions: {
           attachment: gl.COLOR_ATTACHMENT0
         },
+        //number of color textures (multiple render targets)
+        colorAttachments: 1,
         //All render buffer params
         bindToRenderBuffer: false,
         renderBufferOptions: {
@@ -213,6 +578,17 @@
         this.setTexture(texName, texBindOpt);
 
         gl.framebufferTexture2D(gl.FRAMEBUFFER, texOpt.attachment, this.textureMemo[texName].textureType, this.textures[texName], 0);
+
+        //extra color textures are named name-texture-1, name-texture-2, etc.
+        if (opt.colorAttachments > 1) {
+          var drawBuffers = [gl.COLOR_ATTACHMENT0];
+          for (var i = 1; i < opt.colorAttachments; i++) {
+            this.setTexture(texName + '-' + i, texBindOpt);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0 + i, this.textureMemo[texName + '-' + i].textureType, this.textures[texName + '-' + i], 0);
+            drawBuffers.push(gl.COLOR_ATTACHMENT0 + i);
+          }
+          this.drawBuffers(drawBuffers);
+        }
       }
 
       if (bindToRenderBuffer) {
@@ -228,7 +604,7 @@
         gl.framebufferRenderbuffer(gl.FRAMEBUFFER, rbOpt.attachment, gl.RENDERBUFFER, this.renderBuffers[rbName]);
       }
 
-      gl.bindTexture(gl.TEXTURE_2D, null);
+      this.bindTexture(gl.TEXTURE_2D, null);
       gl.bindRenderbuffer(gl.RENDERBUFFER, null);
       gl.bindFramebuffer(gl.FRAMEBUFFER, null);
 
@@ -244,7 +620,30 @@
       return this;
     },
 
+    //deletes the framebuffer and the texture and renderbuffer bound to it (if any)
+    deleteFrameBuffer: function(name) {
+      var frameBuffer = this.frameBuffers[name],
+          opt = this.frameBufferMemo[name];
+      if (frameBuffer) {
+        this.gl.deleteFramebuffer(frameBuffer);
+        delete this.frameBuffers[name];
+        delete this.frameBufferMemo[name];
+        if (opt.bindToTexture) {
+          this.deleteTexture(name + '-texture');
+          for (var i = 1; i < opt.colorAttachments; i++) {
+            this.deleteTexture(name + '-texture-' + i);
+          }
+        }
+        if (opt.bindToRenderBuffer) {
+          this.deleteRenderBuffer(name + '-renderbuffer');
+        }
+      }
+      return this;
+    },
+
     setRenderBuffer: function(name, opt) {
+      var gl = this.gl;
+
       if (typeof opt != 'object') {
         gl.bindRenderbuffer(gl.RENDERBUFFER, opt? this.renderBufferMemo[name] : null);
         return;
@@ -279,17 +678,29 @@
       return this;
     },
 
+    deleteRenderBuffer: function(name) {
+      var renderBuffer = this.renderBuffers[name];
+      if (renderBuffer) {
+        this.gl.deleteRenderbuffer(renderBuffer);
+        delete this.renderBuffers[name];
+        delete this.renderBufferMemo[name];
+      }
+      return this;
+    },
+
     setTexture: function(name, opt) {
+      var gl = this.gl;
+
       //bind texture
       if (!opt || typeof opt != 'object') {
-        gl.activeTexture(opt || gl.TEXTURE0);
-        gl.bindTexture(this.textureMemo[name].textureType || gl.TEXTURE_2D, this.textures[name]);
+        this.activeTexture(opt || gl.TEXTURE0);
+        this.bindTexture(this.textureMemo[name].textureType || gl.TEXTURE_2D, this.textures[name]);
         return;
       }
 
       if (opt.data && opt.data.type === gl.FLOAT) {
-        // Enable floating-point texture.
-        if (!gl.getExtension('OES_texture_float')) {
+        // Floating-point textures are native in WebGL2.
+        if (!this.capabilities.floatTextures) {
           throw 'OES_texture_float is not supported';
         }
       }
@@ -340,13 +751,16 @@
           value = data.value,
           type = data.type,
           format = data.format,
+          internalFormat = data.internalFormat? gl.get(data.internalFormat) : getInternalFormat(gl, format, type),
           hasValue = !!data.value;
 
       //save texture
       if (!hasTexture) {
         this.textures[name] = texture;
       }
-      gl.bindTexture(textureType, texture);
+      //always bind before uploading, the texture may have been unbound
+      //with gl calls
+      this.bindTexture(textureType, texture, true);
       if (!hasTexture) {
         //set texture properties
         pixelStore.forEach(function(opt) {
@@ -357,26 +771,33 @@
 
       //load texture
       if (hasValue) {
+        this.stats.textureUploads++;
         //beware that we can be loading multiple textures (i.e. it could be a cubemap)
         if (isCube) {
           for (var i = 0; i < 6; ++i) {
             if ((data.width || data.height) && (!value.width && !value.height)) {
-              gl.texImage2D(textureTarget[i], 0, format, data.width, data.height, data.border, format, type, value[i]);
+              gl.texImage2D(textureTarget[i], 0, internalFormat, data.width, data.height, data.border, format, type, value[i]);
             } else {
-              gl.texImage2D(textureTarget[i], 0, format, format, type, value[i]);
+              gl.texImage2D(textureTarget[i], 0, internalFormat, format, type, value[i]);
             }
           }
         } else {
           if ((data.width || data.height) && (!value.width && !value.height)) {
-            gl.texImage2D(textureTarget, 0, format, data.width, data.height, data.border, format, type, value);
+            gl.texImage2D(textureTarget, 0, internalFormat, data.width, data.height, data.border, format, type, value);
           } else {
-            gl.texImage2D(textureTarget, 0, format, format, type, value);
+            gl.texImage2D(textureTarget, 0, internalFormat, format, type, value);
           }
         }
 
       //we're setting a texture to a framebuffer
       } else if (data.width || data.height) {
-        gl.texImage2D(textureTarget, 0, format, data.width, data.height, data.border, format, type, null);
+        if (isCube) {
+          for (i = 0; i < 6; ++i) {
+            gl.texImage2D(textureTarget[i], 0, internalFormat, data.width, data.height, data.border, format, type, null);
+          }
+        } else {
+          gl.texImage2D(textureTarget, 0, internalFormat, data.width, data.height, data.border, format, type, null);
+        }
       }
       //set texture parameters
       if (!hasTexture) {
@@ -395,6 +816,7 @@
 
       //set default options so we don't have to next time.
       if (hasValue) {
+        this.textureValues[name] = value;
         opt.data.value = false;
       }
 
@@ -410,11 +832,567 @@
       return this;
     },
 
+    deleteTexture: function(name) {
+      var texture = this.textures[name];
+      if (texture) {
+        this.gl.deleteTexture(texture);
+        this.resetGLState();
+        delete this.textures[name];
+        delete this.textureMemo[name];
+        delete this.textureValues[name];
+      }
+      return this;
+    },
+
+    //Instancing, vertex array objects and multiple render targets use
+    //the native WebGL2 calls or their WebGL1 extensions.
+    vertexAttribDivisor: function(loc, divisor) {
+      var gl = this.gl, ext = this.extensions.ANGLE_instanced_arrays;
+      if (gl.isWebGL2) {
+        gl.vertexAttribDivisor(loc, divisor);
+      } else if (ext) {
+        ext.vertexAttribDivisorANGLE(loc, divisor);
+      } else {
+        console.warn('ANGLE_instanced_arrays not supported!');
+      }
+      return this;
+    },
+
+    drawArraysInstanced: function(mode, first, count, instances) {
+      var gl = this.gl, ext = this.extensions.ANGLE_instanced_arrays;
+      if (gl.isWebGL2) {
+        gl.drawArraysInstanced(mode, first, count, instances);
+      } else if (ext) {
+        ext.drawArraysInstancedANGLE(mode, first, count, instances);
+      } else {
+        console.warn('ANGLE_instanced_arrays not supported!');
+      }
+      return this;
+    },
+
+    drawElementsInstanced: function(mode, count, type, offset, instances) {
+      var gl = this.gl, ext = this.extensions.ANGLE_instanced_arrays;
+      if (gl.isWebGL2) {
+        gl.drawElementsInstanced(mode, count, type, offset, instances);
+      } else if (ext) {
+        ext.drawElementsInstancedANGLE(mode, count, type, offset, instances);
+      } else {
+        console.warn('ANGLE_instanced_arrays not supported!');
+      }
+      return this;
+    },
+
+    //Returns null if vertex array objects are not supported
+    createVertexArray: function() {
+      var gl = this.gl, ext = this.extensions.OES_vertex_array_object;
+      if (gl.isWebGL2) {
+        return gl.createVertexArray();
+      }
+      return ext? ext.createVertexArrayOES() : null;
+    },
+
+    bindVertexArray: function(vao) {
+      var gl = this.gl, ext = this.extensions.OES_vertex_array_object;
+      if (gl.isWebGL2) {
+        gl.bindVertexArray(vao);
+      } else if (ext) {
+        ext.bindVertexArrayOES(vao);
+      }
+      //remember the bound vertex array. The element array buffer
+      //binding is part of the vertex array state.
+      this.boundVertexArray = vao || null;
+      delete this.glState.buffers[gl.ELEMENT_ARRAY_BUFFER];
+      return this;
+    },
+
+    deleteVertexArray: function(vao) {
+      var gl = this.gl, ext = this.extensions.OES_vertex_array_object;
+      if (gl.isWebGL2) {
+        gl.deleteVertexArray(vao);
+      } else if (ext) {
+        ext.deleteVertexArrayOES(vao);
+      }
+      return this;
+    },
+
+    //Sets the color attachments the bound framebuffer draws to
+    drawBuffers: function(buffers) {
+      var gl = this.gl, ext = this.extensions.WEBGL_draw_buffers;
+      if (gl.isWebGL2) {
+        gl.drawBuffers(buffers);
+      } else if (ext) {
+        ext.drawBuffersWEBGL(buffers);
+      } else {
+        console.warn('WEBGL_draw_buffers not supported!');
+      }
+      return this;
+    },
+
+    //Sets render state values (blending, depth, culling, etc. See
+    //O3D.Model) skipping the ones already set. Returns the previous values
+    //so they can be restored with another setRenderState call.
+    setRenderState: function(state) {
+      var gl = this.gl,
+          cache = this.renderState,
+          previous = {},
+          key, value, current;
+
+      state = normalizeRenderState(gl, state);
+      for (key in state) {
+        value = state[key];
+        current = (key in cache)? cache[key] : (cache[key] = renderStates[key].get(gl));
+        previous[key] = current;
+        if (!equalState(current, value)) {
+          renderStates[key].set(gl, value);
+          cache[key] = value;
+        }
+      }
+      return previous;
+    },
+
+    //Returns the viewport, clear color and bound framebuffer. They're
+    //recorded when set, GL is only queried for values not set yet.
+    getViewState: function() {
+      var gl = this.gl,
+          viewState = this.viewState;
+
+      if (!viewState.viewport) {
+        viewState.viewport = Array.prototype.slice.call(gl.getParameter(gl.VIEWPORT));
+      }
+      if (!viewState.clearColor) {
+        viewState.clearColor = Array.prototype.slice.call(gl.getParameter(gl.COLOR_CLEAR_VALUE));
+      }
+      if (viewState.frameBuffer === undefined) {
+        viewState.frameBuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+      }
+      return {
+        viewport: viewState.viewport,
+        clearColor: viewState.clearColor,
+        frameBuffer: viewState.frameBuffer
+      };
+    },
+
+    //Forgets the cached render state. Needed after changing the
+    //state with gl calls.
+    resetRenderState: function() {
+      this.renderState = {};
+      return this;
+    },
+
     use: function(program) {
-      gl.useProgram(program.program);
+      var glState = this.glState;
+
+      if (glState.program === program.program) {
+        this.savedCalls.useProgram++;
+      } else {
+        this.gl.useProgram(program.program);
+        glState.program = program.program;
+      }
       //remember last used program.
       this.usedProgram = program;
       return this;
+    },
+
+    //gl.bindBuffer, skipped if the buffer is already bound
+    bindBuffer: function(type, buffer) {
+      var buffers = this.glState.buffers;
+
+      if (buffers[type] === buffer) {
+        this.savedCalls.bindBuffer++;
+      } else {
+        this.gl.bindBuffer(type, buffer);
+        buffers[type] = buffer;
+      }
+      return this;
+    },
+
+    //gl.activeTexture, skipped if the unit is already active
+    activeTexture: function(unit) {
+      var glState = this.glState;
+
+      if (glState.activeTexture === unit) {
+        this.savedCalls.activeTexture++;
+      } else {
+        this.gl.activeTexture(unit);
+        glState.activeTexture = unit;
+      }
+      return this;
+    },
+
+    //gl.bindTexture, skipped if the texture is already bound to the active
+    //unit unless force is set
+    bindTexture: function(type, texture, force) {
+      var glState = this.glState,
+          unit = glState.activeTexture,
+          key = unit + '-' + type;
+
+      if (!force && unit !== undefined && glState.textures[key] === texture) {
+        this.savedCalls.bindTexture++;
+      } else {
+        this.gl.bindTexture(type, texture);
+        this.stats.textureBinds++;
+        if (unit !== undefined) {
+          glState.textures[key] = texture;
+        }
+      }
+      return this;
+    },
+
+    //Sets the counters of the frame stats to zero
+    resetStats: function() {
+      var stats = this.stats;
+
+      stats.drawCalls = 0;
+      stats.triangles = 0;
+      stats.models = 0;
+      stats.culled = 0;
+      stats.bufferUploads = 0;
+      stats.textureUploads = 0;
+      stats.textureBinds = 0;
+      stats.uniformSets = 0;
+      stats.savedCalls = 0;
+      stats.cpuTime = 0;
+      stats.gpuTime = 'gpuTime' in stats? stats.gpuTime : null;
+      return this;
+    },
+
+    //Marks the start of a frame. Counters are set to zero and, if asked
+    //for and supported, the GPU time of the frame is measured.
+    beginFrame: function(opt) {
+      var timer = this.timer;
+
+      this.resetStats();
+      this.resetSavedCalls();
+      this.frameStart = $.time();
+
+      if (opt && opt.gpuTime && this.capabilities.gpuTimer && !this.contextLost) {
+        timer = this.timer = timer || getTimer(this.gl, this.extensions);
+        this.timerQuery = timer.create();
+        timer.begin(this.timerQuery);
+      }
+      return this;
+    },
+
+    //Marks the end of a frame. Returns a copy of the stats of the frame,
+    //also stored in frameStats. GPU times are available some frames later.
+    endFrame: function() {
+      var stats = this.stats,
+          timer = this.timer,
+          queries = this.timerQueries,
+          frameStats = {},
+          query, disjoint;
+
+      stats.cpuTime = $.time() - this.frameStart;
+      stats.savedCalls = this.getSavedCalls().total;
+
+      if (this.timerQuery) {
+        timer.end();
+        queries.push(this.timerQuery);
+        this.timerQuery = null;
+      }
+      if (queries.length) {
+        //results of a disjoint operation (i.e. GPU throttling) are invalid
+        disjoint = this.gl.getParameter(timer.ext.GPU_DISJOINT_EXT);
+        while (queries.length && (disjoint || timer.available(queries[0]))) {
+          query = queries.shift();
+          if (!disjoint) {
+            stats.gpuTime = timer.result(query) / 1e6;
+          }
+          timer.remove(query);
+        }
+      }
+
+      for (var name in stats) {
+        frameStats[name] = stats[name];
+      }
+      return (this.frameStats = frameStats);
+    },
+
+    //Forgets the bound program, buffers and textures. Needed after
+    //binding them with gl calls.
+    resetGLState: function() {
+      this.glState = {
+        program: undefined,
+        buffers: {},
+        activeTexture: undefined,
+        textures: {}
+      };
+      return this;
+    },
+
+    //Returns the number of redundant calls skipped by the state tracker
+    //since the last resetSavedCalls call, by call name and in total.
+    getSavedCalls: function() {
+      var savedCalls = this.savedCalls,
+          ans = { total: 0 };
+
+      for (var name in savedCalls) {
+        ans[name] = savedCalls[name];
+        ans.total += savedCalls[name];
+      }
+      return ans;
+    },
+
+    resetSavedCalls: function() {
+      var savedCalls = this.savedCalls;
+
+      savedCalls.useProgram = 0;
+      savedCalls.bindBuffer = 0;
+      savedCalls.activeTexture = 0;
+      savedCalls.bindTexture = 0;
+      savedCalls.uniform = 0;
+      return this;
+    },
+
+    handleContextLost: function(e) {
+      //tell the browser we want the context to be restored
+      e.preventDefault();
+      this.contextLost = true;
+      this.onContextLost(this, e);
+    },
+
+    //All GL objects are gone after a context loss. Relink programs and
+    //recreate buffers, textures, renderbuffers and framebuffers from
+    //their memos and last uploaded values.
+    handleContextRestored: function(e) {
+      var gl = this.gl,
+          name, opt, buffer;
+
+      //extensions have to be enabled again
+      this.extensions = {};
+      this.capabilities = getCapabilities(gl, this.extensions);
+      //vertex arrays are created again by the models (see Program.link)
+      this.boundVertexArray = null;
+      this.renderState = {};
+      this.resetGLState();
+      this.viewState.viewport = this.viewState.clearColor = this.viewState.frameBuffer = undefined;
+      //queries are gone with the context
+      this.timer = this.timerQuery = null;
+      this.timerQueries = [];
+
+      this.programs.forEach(function(program) {
+        program.link();
+      });
+
+      for (name in this.buffers) {
+        opt = this.bufferMemo[name];
+        buffer = this.buffers[name] = gl.createBuffer();
+        if (name in this.bufferValues) {
+          gl.bindBuffer(opt.bufferType, buffer);
+          gl.bufferData(opt.bufferType, this.bufferValues[name], opt.drawType);
+          gl.bindBuffer(opt.bufferType, null);
+        }
+      }
+
+      Object.keys(this.textures).forEach(function(name) {
+        var opt = this.textureMemo[name];
+        opt.data.value = this.textureValues[name] || false;
+        delete this.textures[name];
+        this.setTexture(name, opt);
+      }, this);
+
+      Object.keys(this.renderBuffers).forEach(function(name) {
+        delete this.renderBuffers[name];
+        this.setRenderBuffer(name, this.renderBufferMemo[name]);
+      }, this);
+
+      Object.keys(this.frameBuffers).forEach(function(name) {
+        delete this.frameBuffers[name];
+        this.setFrameBuffer(name, this.frameBufferMemo[name]);
+      }, this);
+
+      if (this.usedProgram) {
+        this.use(this.usedProgram);
+      }
+
+      this.contextLost = false;
+      this.onContextRestored(this, e);
+    },
+
+    //Starts a render loop that calls onFrame(elapsed, delta, frame) bound to the
+    //application on each animation frame and steps the Fx queue. Time doesn't run
+    //while the page or canvas are hidden or the context is lost.
+    startLoop: function(onFrame) {
+      var that = this,
+          canvas = this.canvas,
+          Fx = PhiloGL.Fx,
+          loop;
+
+      this.stopLoop();
+
+      loop = this.loop = {
+        running: true,
+        paused: false,
+        frame: 0,
+        elapsed: 0,
+        delta: 0,
+        lastTime: null,
+        id: null,
+        //whether the canvas is in the viewport
+        inView: true,
+        observer: null
+      };
+
+      if (canvas && typeof IntersectionObserver != 'undefined') {
+        loop.observer = new IntersectionObserver(function(entries) {
+          loop.inView = entries[entries.length - 1].isIntersecting;
+        });
+        loop.observer.observe(canvas);
+      }
+
+      function tick() {
+        if (!loop.running) return;
+        loop.id = Fx.requestAnimationFrame(tick);
+
+        var hidden = typeof document != 'undefined' && (document.hidden || document.webkitHidden);
+        if (hidden || !loop.inView || that.contextLost) {
+          loop.paused = true;
+          loop.lastTime = null;
+          return;
+        }
+
+        var now = Fx.animationTime();
+        loop.paused = false;
+        loop.delta = loop.lastTime === null ? 0 : now - loop.lastTime;
+        loop.elapsed += loop.delta;
+        loop.lastTime = now;
+        onFrame.call(that, loop.elapsed, loop.delta, loop.frame);
+        loop.frame++;
+      }
+
+      loop.id = Fx.requestAnimationFrame(tick);
+      return this;
+    },
+
+    stopLoop: function() {
+      var loop = this.loop;
+      if (loop && loop.running) {
+        loop.running = false;
+        PhiloGL.Fx.cancelAnimationFrame(loop.id);
+        if (loop.observer) {
+          loop.observer.disconnect();
+        }
+      }
+      return this;
+    },
+
+    //Resizes the drawing buffer to the CSS size of the canvas times the
+    //pixel ratio and updates the viewport, camera aspect and event caches.
+    resize: function(pixelRatio) {
+      var canvas = this.canvas,
+          width = canvas.clientWidth,
+          height = canvas.clientHeight,
+          ratio = pixelRatio || (typeof window != 'undefined' && window.devicePixelRatio) || 1,
+          bufferWidth = Math.round(width * ratio),
+          bufferHeight = Math.round(height * ratio);
+
+      //hidden canvas, nothing to do
+      if (!width || !height) {
+        return this;
+      }
+
+      this.pixelRatio = ratio;
+      if (canvas.width == bufferWidth && canvas.height == bufferHeight) {
+        return this;
+      }
+
+      canvas.width = bufferWidth;
+      canvas.height = bufferHeight;
+      this.gl.viewport(0, 0, bufferWidth, bufferHeight);
+
+      if (this.camera) {
+        this.camera.aspect = width / height;
+        this.camera.update();
+      }
+      if (this.eventsProxy) {
+        this.eventsProxy.invalidate();
+      }
+
+      this.onResize(this, {
+        width: width,
+        height: height,
+        pixelRatio: ratio
+      });
+      return this;
+    },
+
+    //Watches the CSS size of the canvas and resizes it when it changes.
+    //opt.pixelRatio overrides window.devicePixelRatio.
+    startAutoResize: function(opt) {
+      var that = this,
+          pixelRatio = opt && opt.pixelRatio,
+          listener = function() {
+            that.resize(pixelRatio);
+          };
+
+      this.stopAutoResize();
+
+      if (typeof ResizeObserver != 'undefined') {
+        this.resizeObserver = new ResizeObserver(listener);
+        this.resizeObserver.observe(this.canvas);
+      }
+      //devicePixelRatio changes (i.e. zooming) trigger window resize events
+      this.resizeListener = listener;
+      window.addEventListener('resize', listener, false);
+
+      this.resize(pixelRatio);
+      return this;
+    },
+
+    stopAutoResize: function() {
+      if (this.resizeObserver) {
+        this.resizeObserver.disconnect();
+        this.resizeObserver = null;
+      }
+      if (this.resizeListener) {
+        window.removeEventListener('resize', this.resizeListener, false);
+        this.resizeListener = null;
+      }
+      return this;
+    },
+
+    //Detaches events, deletes programs and releases all GL objects
+    //created through the application.
+    destroy: function() {
+      var name;
+
+      this.stopLoop();
+      this.stopAutoResize();
+
+      if (this.eventsProxy) {
+        this.eventsProxy.detachEvents();
+      }
+
+      for (name in this.contextListeners) {
+        this.canvas.removeEventListener(name, this.contextListeners[name], false);
+      }
+      this.contextListeners = {};
+
+      if (this.scene) {
+        this.scene.dispose();
+      }
+
+      while (this.programs.length) {
+        this.programs[0].destroy();
+      }
+
+      for (name in this.frameBuffers) {
+        this.deleteFrameBuffer(name);
+      }
+      for (name in this.renderBuffers) {
+        this.deleteRenderBuffer(name);
+      }
+      for (name in this.textures) {
+        this.deleteTexture(name);
+      }
+      for (name in this.buffers) {
+        this.deleteBuffer(name);
+      }
+
+      //don't keep a destroyed application as default
+      if (app === this) {
+        app = gl = null;
+      }
     }
   };
 
@@ -0,0 +1,265 @@
+var abs = Math.abs, delta = 0.001;
+
+assert(typeof PhiloGL.IO.OBJ === 'function');
+assert(typeof PhiloGL.IO.OBJ.parse === 'function');
+
+//polygons are triangulated as fans and corners are shared
+var models = PhiloGL.IO.OBJ.parse([
+  '# quad',
+  'v 0 0 0', 'v 1 0 0', 'v 1 1 0', 'v 0 1 0',
+  'vt 0 0', 'vt 1 0', 'vt 1 1', 'vt 0 1',
+  'vn 0 0 1',
+  'o quad',
+  'f 1/1/1 2/2/1 3/3/1 4/4/1',
+  'f 1/1/1 3/3/1 4/4/1'
+].join('\r\n'));
+assert(models.length === 1);
+var model = models[0];
+assert(model.name === 'quad');
+assert(model.$verticesLength === 12);
+assert(Array.prototype.join.call(model.$indices) === '0,1,2,0,2,3,0,2,3');
+assert(model.$texCoords.length === 8);
+assert(model.$normals[2] === 1);
+
+//negative indices are relative to the vertices read so far
+models = PhiloGL.IO.OBJ.parse([
+  'v 0 0 0', 'v 1 0 0', 'v 0 1 0',
+  'f -3 -2 -1',
+  'f 1 2 3',
+  'v 0 0 1', 'v 1 0 1', 'v 0 1 1',
+  'f -3 -2 -1'
+].join('\n'));
+model = models[0];
+assert(model.$verticesLength === 18);
+assert(Array.prototype.join.call(model.$indices) === '0,1,2,0,1,2,3,4,5');
+for (var i = 0; i < 3; i++) {
+  assert(model.$vertices[i * 3 + 2] === 0);
+  assert(model.$vertices[(i + 3) * 3 + 2] === 1);
+}
+//computed normals
+assert(abs(model.$normals[2] - 1) < delta);
+
+//faces with less than 3 corners are skipped
+models = PhiloGL.IO.OBJ.parse([
+  'v 0 0 0', 'v 1 0 0', 'v 0 1 0',
+  'f 1 2',
+  'f 1',
+  'f'
+].join('\n'));
+assert(models.length === 0);
+
+//faces and fan triangles with repeated vertices are skipped
+models = PhiloGL.IO.OBJ.parse([
+  'v 0 0 0', 'v 1 0 0', 'v 0 1 0', 'v 1 1 0',
+  'vt 0 0', 'vt 1 0',
+  'f 1/1 2/1 1/2',
+  'f 1 1 2 2',
+  'f 1 2 2 3 4'
+].join('\n'));
+assert(models.length === 1);
+assert(Array.prototype.join.call(models[0].$indices) === '0,1,2,0,2,3');
+
+//vertices without colors are white once some vertex has them
+models = PhiloGL.IO.OBJ.parse([
+  'v 0 0 0 1 0 0', 'v 1 0 0', 'v 0 1 0 0 0 1',
+  'f 1 2 3'
+].join('\n'));
+assert(Array.prototype.join.call(models[0].$colors) === '1,0,0,1,1,1,1,1,0,0,1,1');
+
+//groups and materials
+var materials = PhiloGL.IO.OBJ.parseMTL([
+  'newmtl red', 'Kd 1 0 0', 'd 0.5',
+  'newmtl wood', 'Kd 1 1 1', 'map_Kd textures\\wood.png'
+].join('\n'), 'models/');
+assert(materials.red.kd.join() === '1,0,0');
+assert(materials.wood.map_kd === 'models/textures/wood.png');
+
+models = PhiloGL.IO.OBJ.parse([
+  'v 0 0 0', 'v 1 0 0', 'v 0 1 0',
+  'g a', 'usemtl red', 'f 1 2 3',
+  'g b', 'usemtl wood', 'f 1 2 3',
+  'g c', 'usemtl red', 'f 3 2 1'
+].join('\n'), { materials: materials });
+assert(models.length === 3);
+assert(models[0].name === 'a');
+assert(models[0].transparent === true);
+assert(models[0].$colors[3] === 0.5);
+assert(models[1].maps.diffuse === 'models/textures/wood.png');
+assert(models[0].material === models[2].material);
+
+var error = null;
+try {
+  PhiloGL.IO.OBJ.parse('v 0 0 0\nf 1 2 3');
+} catch (e) {
+  error = e;
+}
+assert(typeof error === 'string');
+
+assert(typeof PhiloGL.IO.GLTF === 'function');
+assert(typeof PhiloGL.IO.GLTF.parse === 'function');
+
+//a triangle buffer: three positions followed by three indices
+var triangleBytes = new Uint8Array(44);
+triangleBytes.set(new Uint8Array(new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]).buffer), 0);
+triangleBytes.set(new Uint8Array(new Uint16Array([0, 1, 2]).buffer), 36);
+
+function getGLTFJSON(uri) {
+  return {
+    asset: { version: '2.0' },
+    buffers: [{ byteLength: 44, uri: uri }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: 36 },
+      { buffer: 0, byteOffset: 36, byteLength: 6 }
+    ],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 3, type: 'VEC3' },
+      { bufferView: 1, componentType: 5123, count: 3, type: 'SCALAR' }
+    ],
+    meshes: [{ name: 'triangle', primitives: [{ attributes: { POSITION: 0 }, indices: 1 }] }],
+    cameras: [{ type: 'orthographic', orthographic: { xmag: 2, ymag: 1, znear: 0, zfar: 10 } }],
+    nodes: [
+      { name: 'mesh', translation: [1, 2, 3], mesh: 0 },
+      { name: 'camera', translation: [0, 0, 5], camera: 0 }
+    ],
+    scenes: [{ nodes: [0, 1] }],
+    scene: 0
+  };
+}
+
+function checkGLTF(gltf) {
+  assert(gltf.models.length === 1);
+  var model = gltf.models[0];
+  assert(model.name === 'triangle');
+  assert(Array.prototype.join.call(model.$vertices) === '0,0,0,1,0,0,0,1,0');
+  assert(Array.prototype.join.call(model.$indices) === '0,1,2');
+  assert(abs(model.$normals[2] - 1) < delta);
+  assert(gltf.nodes[0].name === 'mesh');
+  assert(gltf.nodes[0].models[0] === model);
+  assert(gltf.nodes[0].matrix[12] === 1);
+  assert(gltf.nodes[0].matrix[14] === 3);
+
+  //orthographic cameras keep the glTF extents when updated
+  var camera = gltf.cameras[0],
+      projection = camera.projection;
+  assert(camera.type === 'orthographic');
+  assert(abs(camera.position.z - 5) < delta);
+  assert(abs(projection[0] - 0.5) < delta);
+  assert(abs(projection[5] - 1) < delta);
+  camera.update();
+  assert(abs(camera.projection[0] - 0.5) < delta);
+  assert(abs(camera.projection[5] - 1) < delta);
+}
+
+//JSON with an embedded base64 buffer
+var binary = '';
+for (i = 0; i < triangleBytes.length; i++) {
+  binary += String.fromCharCode(triangleBytes[i]);
+}
+var gltfJSON = getGLTFJSON('data:application/octet-stream;base64,' + btoa(binary));
+checkGLTF(PhiloGL.IO.GLTF.parse(JSON.stringify(gltfJSON)));
+checkGLTF(PhiloGL.IO.GLTF.parse(gltfJSON));
+
+//GLB with a JSON chunk and a binary chunk
+var json = JSON.stringify(getGLTFJSON());
+while (json.length % 4) {
+  json += ' ';
+}
+var glb = new ArrayBuffer(12 + 8 + json.length + 8 + triangleBytes.length),
+    view = new DataView(glb),
+    bytes = new Uint8Array(glb);
+view.setUint32(0, 0x46546C67, true);
+view.setUint32(4, 2, true);
+view.setUint32(8, glb.byteLength, true);
+view.setUint32(12, json.length, true);
+view.setUint32(16, 0x4E4F534A, true);
+for (i = 0; i < json.length; i++) {
+  bytes[20 + i] = json.charCodeAt(i);
+}
+view.setUint32(20 + json.length, triangleBytes.length, true);
+view.setUint32(24 + json.length, 0x004E4942, true);
+bytes.set(triangleBytes, 28 + json.length);
+checkGLTF(PhiloGL.IO.GLTF.parse(glb));
+
+assert(typeof PhiloGL.IO.PLY.parse === 'function');
+assert(typeof PhiloGL.IO.STL.parse === 'function');
+
+//ASCII PLY with colors, an extra property and a quad
+model = PhiloGL.IO.PLY.parse([
+  'ply',
+  'format ascii 1.0',
+  'comment a colored quad',
+  'element vertex 4',
+  'property float x', 'property float y', 'property float z',
+  'property uchar red', 'property uchar green', 'property uchar blue',
+  'property float curvature',
+  'element face 1',
+  'property list uchar int vertex_indices',
+  'end_header',
+  '0 0 0 255 0 0 0.5',
+  '1 0 0 0 255 0 1',
+  '1 1 0 0 0 255 2',
+  '0 1 0 255 255 255 3',
+  '4 0 1 2 3'
+].join('\n'));
+assert(Array.prototype.join.call(model.$vertices) === '0,0,0,1,0,0,1,1,0,0,1,0');
+assert(Array.prototype.join.call(model.$indices) === '0,1,2,0,2,3');
+assert(Array.prototype.join.call(model.$colors.subarray(0, 8)) === '1,0,0,1,0,1,0,1');
+assert(Array.prototype.join.call(model.attributes.curvature.value) === '0.5,1,2,3');
+assert(abs(model.$normals[2] - 1) < delta);
+
+//binary little endian PLY without faces is drawn as points
+var plyHeader = 'ply\nformat binary_little_endian 1.0\nelement vertex 2\n' +
+      'property float x\nproperty float y\nproperty float z\nend_header\n',
+    ply = new Uint8Array(plyHeader.length + 24);
+for (i = 0; i < plyHeader.length; i++) {
+  ply[i] = plyHeader.charCodeAt(i);
+}
+view = new DataView(ply.buffer);
+[1, 2, 3, 4, 5, 6].forEach(function(value, i) {
+  view.setFloat32(plyHeader.length + i * 4, value, true);
+});
+model = PhiloGL.IO.PLY.parse(ply.buffer);
+assert(Array.prototype.join.call(model.$vertices) === '1,2,3,4,5,6');
+assert(model.drawType === 'POINTS');
+
+error = null;
+try {
+  PhiloGL.IO.PLY.parse('not a ply file');
+} catch (e) {
+  error = e;
+}
+assert(typeof error === 'string');
+
+//ASCII STL, facets with zero normals get computed ones
+var stl = [
+  'solid test',
+  'facet normal 0 0 -1',
+  'outer loop', 'vertex 0 0 0', 'vertex 0 1 0', 'vertex 1 0 0', 'endloop',
+  'endfacet',
+  'endsolid test'
+].join('\n');
+model = PhiloGL.IO.STL.parse(stl);
+assert(Array.prototype.join.call(model.$vertices) === '0,0,0,0,1,0,1,0,0');
+assert(Array.prototype.join.call(model.$normals) === '0,0,-1,0,0,-1,0,0,-1');
+model = PhiloGL.IO.STL.parse(stl.replace('normal 0 0 -1', 'normal 0 0 0'));
+assert(abs(model.$normals[2] + 1) < delta);
+
+//binary STL with a triangle
+var stlBuffer = new ArrayBuffer(84 + 50);
+view = new DataView(stlBuffer);
+view.setUint32(80, 1, true);
+[0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0].forEach(function(value, i) {
+  view.setFloat32(84 + i * 4, value, true);
+});
+model = PhiloGL.IO.STL.parse(stlBuffer);
+assert(Array.prototype.join.call(model.$vertices) === '0,0,0,1,0,0,0,1,0');
+assert(Array.prototype.join.call(model.$normals) === '0,0,1,0,0,1,0,0,1');
+assert(!model.$colors);
+
+error = null;
+try {
+  PhiloGL.IO.STL.parse('not a stl file');
+} catch (e) {
+  error = e;
+}
+assert(error === 'Invalid STL file');
@@ -0,0 +1,174 @@
+var abs = Math.abs, delta = 0.001;
+
+assert(typeof PhiloGL.O3D.Model === 'function');
+
+//two triangles folded 90 degrees along the edge 0-1
+function foldedModel(computeNormals) {
+  return new PhiloGL.O3D.Model({
+    vertices: [0, 0, 0,
+               1, 0, 0,
+               0, 1, 0,
+               0, 0, 1],
+    indices: [0, 1, 2,
+              1, 0, 3],
+    computeNormals: computeNormals
+  });
+}
+
+//smooth normals are shared by the edge vertices
+var model = foldedModel(true),
+    normals = model.$normals;
+assert(model.$verticesLength === 12);
+assert(normals.length === 12);
+assert(abs(normals[0]) < delta);
+assert(abs(normals[1] - Math.SQRT1_2) < delta);
+assert(abs(normals[2] - Math.SQRT1_2) < delta);
+assert(abs(normals[3] - normals[0]) < delta);
+assert(abs(normals[4] - normals[1]) < delta);
+assert(abs(normals[5] - normals[2]) < delta);
+assert(abs(normals[8] - 1) < delta);
+assert(abs(normals[10] - 1) < delta);
+
+//faces past the crease angle split the edge vertices
+model = foldedModel({ creaseAngle: 45 });
+normals = model.$normals;
+var indices = model.$indices,
+    faceNormals = [[0, 0, 1], [0, 1, 0]];
+assert(model.$verticesLength === 18);
+assert(normals.length === 18);
+assert(model.$indicesLength === 6);
+for (var i = 0; i < 6; i++) {
+  var index = indices[i],
+      faceNormal = faceNormals[i < 3? 0 : 1];
+  assert(abs(normals[index * 3    ] - faceNormal[0]) < delta);
+  assert(abs(normals[index * 3 + 1] - faceNormal[1]) < delta);
+  assert(abs(normals[index * 3 + 2] - faceNormal[2]) < delta);
+  //the copies keep the position of the original vertex
+  assert(model.$vertices[index * 3] === [0, 1, 0, 1, 0, 0][i]);
+}
+
+//faces under the crease angle are still smoothed
+model = foldedModel({ creaseAngle: 100 });
+assert(model.$verticesLength === 12);
+
+//flat normals split every vertex shared by faces that aren't coplanar
+model = foldedModel({ flat: true });
+assert(model.$verticesLength === 18);
+
+//coplanar faces share normals in flat mode
+model = new PhiloGL.O3D.Model({
+  vertices: [0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0],
+  indices: [0, 1, 2, 0, 2, 3],
+  computeNormals: { flat: true }
+});
+assert(model.$verticesLength === 12);
+
+//tangents follow the u direction, w is the handedness of the bitangent
+function quadModel(texCoords) {
+  return new PhiloGL.O3D.Model({
+    vertices: [0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0],
+    normals: [0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1],
+    texCoords: texCoords,
+    indices: [0, 1, 2, 0, 2, 3],
+    computeTangents: true
+  });
+}
+
+var tangents = quadModel([0, 0, 1, 0, 1, 1, 0, 1]).$tangents;
+assert(tangents.length === 16);
+for (i = 0; i < 4; i++) {
+  assert(abs(tangents[i * 4    ] - 1) < delta);
+  assert(abs(tangents[i * 4 + 1]) < delta);
+  assert(abs(tangents[i * 4 + 2]) < delta);
+  assert(tangents[i * 4 + 3] === 1);
+}
+
+//mirrored texture coordinates
+tangents = quadModel([1, 0, 0, 0, 0, 1, 1, 1]).$tangents;
+for (i = 0; i < 4; i++) {
+  assert(abs(tangents[i * 4] + 1) < delta);
+  assert(tangents[i * 4 + 3] === -1);
+}
+
+var error = null;
+try {
+  new PhiloGL.O3D.Model({
+    vertices: [0, 0, 0, 1, 0, 0, 0, 1, 0],
+    normals: [0, 0, 1, 0, 0, 1, 0, 0, 1],
+    computeTangents: true
+  });
+} catch (e) {
+  error = e;
+}
+assert(error === 'Tangents need vertices, normals and texCoords');
+
+//splitIndices keeps each triangle in a chunk with at most maxVertices vertices
+var vertices = [], texCoords = [];
+indices = [];
+for (i = 0; i < 12; i++) {
+  vertices.push(i, 0, 0);
+  texCoords.push(i, 1);
+  indices.push(i);
+}
+model = new PhiloGL.O3D.Model({
+  vertices: vertices,
+  texCoords: texCoords,
+  indices: indices
+});
+var chunks = model.splitIndices(3, 6);
+assert(chunks.length === 2);
+chunks.forEach(function(chunk, n) {
+  assert(chunk.$indices instanceof Uint16Array);
+  assert(chunk.$verticesLength === 18);
+  assert(chunk.$indicesLength === 6);
+  for (var j = 0; j < 6; j++) {
+    var index = chunk.$indices[j];
+    assert(index < 6);
+    assert(chunk.$vertices[index * 3] === n * 6 + j);
+    assert(chunk.$texCoords[index * 2] === n * 6 + j);
+  }
+});
+
+//shared vertices are only added once to a chunk
+model = new PhiloGL.O3D.Model({
+  vertices: [0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0],
+  indices: [0, 1, 2, 0, 2, 3]
+});
+chunks = model.splitIndices(3, 4);
+assert(chunks.length === 1);
+assert(chunks[0].$verticesLength === 12);
+assert(Array.prototype.join.call(chunks[0].$indices) === '0,1,2,0,2,3');
+
+//triangles that don't fit start a new chunk
+chunks = model.splitIndices(3, 3);
+assert(chunks.length === 2);
+assert(Array.prototype.join.call(chunks[1].$indices) === '0,1,2');
+assert(Array.prototype.join.call(chunks[1].$vertices) === '0,0,0,1,1,0,0,1,0');
+
+//material maps only set the uniforms of the samplers the program has
+var uniforms = {}, bound = {},
+    program = {
+      gl: { TEXTURE0: 0x84C0 },
+      app: { textures: { albedo: {}, bumps: {} } },
+      textureUnits: { materialNormalMap: 3 },
+      setUniform: function(name, value) {
+        uniforms[name] = value;
+        return this;
+      },
+      setUniforms: function(obj) {
+        for (var name in obj) {
+          this.setUniform(name, obj[name]);
+        }
+        return this;
+      },
+      setTexture: function(name, unit) {
+        bound[name] = unit - this.gl.TEXTURE0;
+        return this;
+      }
+    };
+new PhiloGL.O3D.Material({ baseColorMap: 'albedo', normalMap: 'bumps' }).setUniforms(program);
+assert(uniforms.hasMaterialNormalMap === true);
+assert(!('hasMaterialBaseColorMap' in uniforms));
+assert(!('materialNormalMap' in uniforms));
+assert(bound.bumps === 3);
+assert(!('albedo' in bound));
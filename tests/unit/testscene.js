@@ -0,0 +1,58 @@
+assert(typeof PhiloGL.Scene === 'function');
+
+//a scene that records the order models are rendered in
+function recordingScene(opt) {
+  var app = {
+        stats: {},
+        setRenderState: function() {
+          return {};
+        },
+        resetRenderState: function() {},
+        resetGLState: function() {}
+      },
+      program = { $$family: 'program', app: app },
+      camera = new PhiloGL.Camera(45, 1, 0.1, 100, {
+        position: { x: 0, y: 0, z: 10 }
+      }),
+      scene = new PhiloGL.Scene(program, camera, opt);
+
+  camera.update();
+  scene.order = [];
+  scene.renderShadows = scene.beforeRender = function() {};
+  scene.renderObject = function(model) {
+    scene.order.push(model.name);
+  };
+  return scene;
+}
+
+function positionedModel(name, z, transparent) {
+  var model = new PhiloGL.O3D.Model({
+    vertices: [0, 0, 0, 1, 0, 0, 0, 1, 0],
+    transparent: transparent
+  });
+  model.name = name;
+  model.position.z = z;
+  model.update();
+  return model;
+}
+
+//transparent models are rendered after the opaque ones, far to near,
+//even without sorting
+var scene = recordingScene();
+scene.models.push(positionedModel('near', 5, true),
+                  positionedModel('opaque', 0, false),
+                  positionedModel('far', -5, true),
+                  positionedModel('middle', 0, true));
+scene.render();
+assert(scene.order.join() === 'opaque,far,middle,near');
+
+//opaque models keep their order unless sorting is enabled
+scene = recordingScene();
+scene.models.push(positionedModel('far', -5, false), positionedModel('near', 5, false));
+scene.render();
+assert(scene.order.join() === 'far,near');
+
+scene = recordingScene({ sort: true });
+scene.models.push(positionedModel('far', -5, false), positionedModel('near', 5, false));
+scene.render();
+assert(scene.order.join() === 'near,far');
@@ -2,3 +2,49 @@ assert(typeof PhiloGL.Program === 'function');
 
 assert(typeof PhiloGL.WebGL === 'object');
 assert(typeof PhiloGL.WebGL.getContext === 'function');
+
+//a context that records the texture calls
+function recordingContext() {
+  var gl = {
+    calls: [],
+    TEXTURE0: 0x84C0,
+    TEXTURE_2D: 0x0DE1,
+    RGBA: 0x1908,
+    UNSIGNED_BYTE: 0x1401,
+    FLOAT: 0x1406,
+    get: function(name) {
+      return typeof name == 'string'? gl[name] : name;
+    },
+    getExtension: function() {
+      return null;
+    },
+    getParameter: function() {
+      return 8;
+    },
+    createTexture: function() {
+      return {};
+    }
+  };
+  ['activeTexture', 'bindTexture', 'pixelStorei', 'texImage2D', 'texParameteri',
+   'viewport', 'clearColor', 'bindFramebuffer'].forEach(function(name) {
+    gl[name] = function() {
+      gl.calls.push([name].concat(Array.prototype.slice.call(arguments)));
+    };
+  });
+  return gl;
+}
+
+//uploads bind the texture even if it was unbound with gl calls
+var gl = recordingContext(),
+    app = new PhiloGL.WebGL.Application({ gl: gl }),
+    pixel = { value: new Uint8Array([255, 0, 0, 255]), width: 1, height: 1 };
+app.setTexture('pixel', { data: pixel });
+app.setTexture('pixel', gl.TEXTURE0);
+var texture = app.textures.pixel;
+gl.bindTexture(gl.TEXTURE_2D, null);
+gl.calls = [];
+app.setTexture('pixel', { data: pixel });
+var names = gl.calls.map(function(call) { return call[0]; }),
+    bind = names.indexOf('bindTexture');
+assert(bind > -1 && gl.calls[bind][2] === texture);
+assert(bind > -1 && bind < names.indexOf('texImage2D'));